@@ -1,6 +1,7 @@
 import { MSG } from '../Core/MSG.js';
 import { Modal } from '../Core/Modal.js'
 import { store } from '../Core/StateStore.js';
+import { hotkeys } from '../Core/Hotkeys.js';
 //#region TICKET CLASS
 class Ticket {
     /**
@@ -34,6 +35,30 @@ export class Card {
 
     // Make the PreloadTicket class available to child cards because imports are annoying asf
     static Ticket = Ticket;
+
+    // Who's behind whatever is happening right now, for the as-run log.
+    // null = a person clicked something. See withTrigger().
+    static _trigger = null;
+
+    /**
+     * Runs fn with everything it does (synchronously) put down to someone other than the user.
+     * @param {{ trigger: 'card' | 'auto', triggeredBy?: string }} trigger
+     * 'card' = another card's command did it (triggeredBy = that card's title), 'auto' = the card did it by itself (autoplay, loop, timer running out).
+     * @param {() => any} fn
+     */
+    static withTrigger(trigger, fn) {
+        const previous = Card._trigger;
+        Card._trigger = trigger;
+        try {
+            return fn();
+        } finally {
+            Card._trigger = previous;
+        }
+    }
+
+    static get currentTrigger() {
+        return Card._trigger ?? { trigger: 'user' };
+    }
     
     /**
      * The constructor for all card types.
@@ -154,14 +179,52 @@ export class Card {
         const capitalizeFirstLetter = (string) => string ? string.charAt(0).toUpperCase() + string.slice(1) : '';
         const modalTitle = `${capitalizeFirstLetter(this.data.type)} Settings`;
 
-        const modalData = { ...this.data, allCommands: this.allCommands };
+        const modalData = { ...this.data, allCommands: this.allCommands, hotkeys: hotkeys.getCombosByCommand() };
 
         // Pass this.data to the modal constructor
-        this.settingsModal = new Modal(modalTitle, config, modalData);
+        this.settingsModal = new Modal(modalTitle, this._withHotkeySection(config), modalData);
         
         // Listen for events from the modal
         this.settingsModal.modalElement.addEventListener('modal-input', this._handleModalInput.bind(this));
         this.settingsModal.modalElement.addEventListener('modal-action', this._handleModalAction.bind(this));
+
+        // Hotkeys are board-wide, so they're handled here rather than by each card type
+        const modal = this.settingsModal;
+        const onHotkeysChanged = () => {
+            modal.data.hotkeys = hotkeys.getCombosByCommand();
+            modal.rebuild();
+        };
+        MSG.on(MSG.EVENTS.HOTKEYS_CHANGED, onHotkeysChanged);
+        modal.modalElement.addEventListener('modal-action', (e) => {
+            const { action, commandId, combo } = e.detail;
+            if (action === 'set-hotkey') MSG.say(MSG.ACTIONS.REQUEST_SET_HOTKEY, { commandId, combo });
+        });
+        modal.modalElement.addEventListener('modal-close', () => MSG.off(MSG.EVENTS.HOTKEYS_CHANGED, onHotkeysChanged));
+    }
+
+    /**
+     * Adds a "Hotkeys" section for this card's commands, just above the Danger Zone.
+     * @param {object[]} config
+     * @returns {object[]}
+     */
+    _withHotkeySection(config) {
+        if (this.commands.length === 0) return config;
+
+        const section = {
+            title: 'Hotkeys',
+            groups: [{
+                type: 'hotkeys',
+                controls: this.commands.map(command => ({
+                    type: 'hotkey',
+                    label: command.name,
+                    commandId: command.id
+                }))
+            }]
+        };
+
+        const dangerIndex = config.findIndex(s => s.title === 'Danger Zone');
+        if (dangerIndex === -1) return [...config, section];
+        return [...config.slice(0, dangerIndex), section, ...config.slice(dangerIndex)];
     }
 
     /**
@@ -197,6 +260,37 @@ export class Card {
         this.commands.push(command);
     }
 
+    /**
+     * The commands that firing one of our commands can go on to fire, for loop checks (see leadsBackTo).
+     * Cards that run other cards' commands (macros, cue lists) override this.
+     * @param {string} commandName The part of the command id after the card id, e.g. "Run".
+     * @returns {string[] | null} null = that command never fires anything else.
+     */
+    getFiredCommandIds(commandName) {
+        return null;
+    }
+
+    /**
+     * True if firing commandId can end up firing one of cardId's commands that fires others
+     * in turn (A runs B runs A), however many cards it goes through on the way.
+     * @param {string} commandId
+     * @param {string} cardId
+     * @param {Set<string>} [visited] Commands already followed, so loops elsewhere don't hang us.
+     * @returns {boolean}
+     */
+    static leadsBackTo(commandId, cardId, visited = new Set()) {
+        if (!commandId || visited.has(commandId)) return false;
+        visited.add(commandId);
+
+        const separator = commandId.indexOf(':');
+        const card = store.getState().allCards.get(commandId.slice(0, separator));
+        if (!card) return false;
+
+        const firedIds = card.getFiredCommandIds(commandId.slice(separator + 1));
+        if (card.id === cardId) return firedIds !== null;
+        return (firedIds || []).some(firedId => Card.leadsBackTo(firedId, cardId, visited));
+    }
+
     /**
     * Preloads the data for a given command ID, with optional custom parameters.
     * @param {string} commandId The unique ID of the command to preload.
@@ -231,7 +325,17 @@ export class Card {
     */
     executeCommand(commandId, ticket) {
         const command = this.getCommand(commandId);
-        return command?.execute(ticket);
+        if (!command) return;
+
+        const trigger = { trigger: 'card', triggeredBy: this.data.title };
+        MSG.say(MSG.EVENTS.AS_RUN_ENTRY, {
+            timestamp: Date.now(),
+            event: 'command',
+            cardId: command.targetCard,
+            title: command.name,
+            ...trigger
+        });
+        return Card.withTrigger(trigger, () => command.execute(ticket));
     }
 
     getCommand(commandId){
@@ -264,6 +368,22 @@ export class Card {
         this.onCommandsChanged(this.allCommands);
     }
 
+    /**
+     * Puts something this card did in the as-run log.
+     * @param {string} event e.g. 'play', 'stop', 'start', 'finish'.
+     * @param {object} [details] fileName, or a trigger to use instead of the current one.
+     */
+    logAsRun(event, details = {}) {
+        MSG.say(MSG.EVENTS.AS_RUN_ENTRY, {
+            timestamp: Date.now(),
+            event,
+            cardId: this.id,
+            title: this.data.title,
+            ...Card.currentTrigger,
+            ...details
+        });
+    }
+
     //#endregion
 
     // ========================================================================================================
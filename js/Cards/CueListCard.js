@@ -0,0 +1,579 @@
+import { debounce, formatMs } from "../Core/helper-functions.js";
+import { Card } from "./BaseCard.js";
+import { Modal } from "../Core/Modal.js";
+import { MSG } from '../Core/MSG.js';
+
+/**
+ * A rundown: numbered cues, each with commands to fire, notes and an expected duration.
+ * GO fires the next cue and makes it the current one. The remaining running time adds up
+ * what's left of the current cue and every cue after it, using whichever is longer of
+ * the expected duration and the longest preload ticket of the cue's commands.
+ */
+export class CueListCard extends Card {
+
+    static TICK_MS = 250;
+
+    static Default() {
+        return {
+            type: 'cuelist',
+            title: 'New Cue List',
+            cues: [], // { label, notes, commandIds: [], expectedDurationMs }
+            currentIndex: -1, // -1 = standing by for the first cue
+            cueStartedAt: null, // Wall clock, so a reload mid-show still knows where we are
+            currentDurationMs: 0 // What the current cue's tickets said when it fired
+        };
+    }
+
+    static DefaultCue() {
+        return { label: 'New Cue', notes: '', commandIds: [], expectedDurationMs: 0 };
+    }
+
+    get templateId() {
+        return 'cuelist-card-template';
+    }
+
+    //#region Constructor
+
+    constructor(cardData) {
+        super(cardData);
+
+        this.elements = {
+            title: this.cardElement.querySelector('.cuelist-title'),
+            position: this.cardElement.querySelector('.cuelist-position'),
+            remaining: this.cardElement.querySelector('.cuelist-remaining'),
+            list: this.cardElement.querySelector('.cuelist-cues'),
+            goBtn: this.cardElement.querySelector('.cuelist-go-btn'),
+        };
+
+        // Estimated length of each cue. Random buttons can give a different ticket every
+        // preload, so we work these out once per change rather than on every tick.
+        this.cueDurations = [];
+        this.estimatedCues = null; // The cues array cueDurations was worked out for
+        this.tickInterval = null;
+
+        this.boundHandleButtonDeletion = this.handleButtonDeletion.bind(this);
+
+        this._initialize();
+    }
+
+    _registerCommands() {
+        this.registerCommand({
+            name: "GO",
+            preload: () => new Card.Ticket({ durationMs: this.cueDurations[this.data.currentIndex + 1] || 0 }),
+            execute: this.go
+        });
+
+        this.registerCommand({
+            name: "Back",
+            preload: null,
+            execute: this.back
+        });
+
+        this.registerCommand({
+            name: "Reset",
+            preload: null,
+            execute: this.reset
+        });
+    }
+
+    _initialize() {
+        this._attachListeners();
+        this.updateUI();
+    }
+
+    _attachListeners() {
+        this.cardElement.addEventListener('click', (event) => {
+            //@ts-ignore
+            const actionElement = event.target.closest('[data-action]');
+            if (!actionElement) return;
+
+            switch (actionElement.dataset.action) {
+                case 'go':
+                    this.go();
+                    break;
+                case 'back':
+                    this.back();
+                    break;
+                case 'settings':
+                    this.openSettings();
+                    break;
+            }
+        });
+
+        MSG.on(MSG.is.SOUNDBOARD_DELETED_CARD, this.boundHandleButtonDeletion);
+    }
+
+    destroy() {
+        clearInterval(this.tickInterval);
+        MSG.off(MSG.is.SOUNDBOARD_DELETED_CARD, this.boundHandleButtonDeletion);
+        super.destroy();
+    }
+
+    handleButtonDeletion({ deletedId }) {
+        const isStale = (commandId) => commandId.startsWith(`${deletedId}:`);
+        if (!this.data.cues.some(cue => cue.commandIds.some(isStale))) return;
+
+        const cues = this.data.cues.map(cue => ({ ...cue, commandIds: cue.commandIds.filter(id => !isStale(id)) }));
+        this._saveCues(cues);
+    }
+
+    //#endregion
+
+    // ================================================================
+    // Rundown Logic
+    // ================================================================
+    //#region Rundown Logic
+
+    /**
+     * Fires the next cue's commands and makes it the current cue.
+     */
+    go() {
+        const nextIndex = this.data.currentIndex + 1;
+        const cue = this.data.cues[nextIndex];
+        if (!cue) return;
+
+        // Move on before firing anything, so a GO that comes back around to us sees this cue as done
+        this.logAsRun('go', { title: `${this.data.title}: ${nextIndex + 1}. ${cue.label}` });
+        this.updateData({ currentIndex: nextIndex, cueStartedAt: Date.now() });
+
+        let longestMs = 0;
+        cue.commandIds.forEach(commandId => {
+            const ticket = this.preloadCommand(commandId);
+            longestMs = Math.max(longestMs, ticket.durationMs);
+            this.executeCommand(commandId, ticket.args);
+        });
+
+        this.updateData({ currentDurationMs: Math.max(longestMs, cue.expectedDurationMs || 0) });
+    }
+
+    /**
+     * Steps back one cue without firing anything, for when GO got pressed a beat early.
+     */
+    back() {
+        if (this.data.currentIndex < 0) return;
+        const previousIndex = this.data.currentIndex - 1;
+        this.updateData({
+            currentIndex: previousIndex,
+            cueStartedAt: previousIndex < 0 ? null : Date.now(),
+            currentDurationMs: this.cueDurations[previousIndex] || 0
+        });
+    }
+
+    /**
+     * Back to standby before the first cue.
+     */
+    reset() {
+        this.updateData({ currentIndex: -1, cueStartedAt: null, currentDurationMs: 0 });
+    }
+
+    // GO can fire whichever cue is next, so as far as loops go it fires all of them
+    getFiredCommandIds(commandName) {
+        if (commandName !== 'GO') return null;
+        return this.data.cues.flatMap(cue => cue.commandIds);
+    }
+
+    /**
+     * @returns {number} ms left in the current cue and every cue after it.
+     */
+    getRemainingMs() {
+        const upcoming = this.cueDurations.slice(this.data.currentIndex + 1).reduce((total, ms) => total + ms, 0);
+        return this._getCurrentCueLeftMs() + upcoming;
+    }
+
+    /**
+     * @returns {number} ms left in the current cue alone.
+     */
+    _getCurrentCueLeftMs() {
+        const { currentIndex, cueStartedAt, currentDurationMs } = this.data;
+        if (currentIndex < 0 || !cueStartedAt) return 0;
+        return Math.max(0, currentDurationMs - (Date.now() - cueStartedAt));
+    }
+
+    /**
+     * Works out cueDurations again, unless it's already for these cues. Cues are only ever
+     * replaced (see _saveCues), so a new array means something changed.
+     * @param {boolean} [force] The commands changed under us, so the old estimates are stale anyway.
+     */
+    _estimateCueDurations(force = false) {
+        if (!force && this.estimatedCues === this.data.cues) return;
+        this.estimatedCues = this.data.cues;
+        this.cueDurations = this.data.cues.map(cue => {
+            const longestMs = cue.commandIds.reduce((longest, commandId) =>
+                Math.max(longest, this.preloadCommand(commandId).durationMs), 0);
+            return Math.max(longestMs, cue.expectedDurationMs || 0);
+        });
+    }
+
+    //#endregion
+
+    // ================================================================
+    // Rendering
+    // ================================================================
+    //#region Rendering
+
+    updateUI() {
+        const { title, position, goBtn } = this.elements;
+        const { cues, currentIndex } = this.data;
+        title.textContent = this.data.title;
+
+        this._estimateCueDurations();
+        this._renderCues();
+
+        const nextCue = cues[currentIndex + 1];
+        if (cues.length === 0) position.textContent = 'No cues';
+        else if (currentIndex < 0) position.textContent = 'Standing by';
+        else position.textContent = `Cue ${currentIndex + 1} of ${cues.length}`;
+
+        //@ts-ignore
+        goBtn.disabled = !nextCue;
+        goBtn.textContent = nextCue ? `GO ${currentIndex + 2}` : 'End';
+
+        // Only tick while a cue's time is running down
+        clearInterval(this.tickInterval);
+        this.tickInterval = this._getCurrentCueLeftMs() > 0 ? setInterval(() => this._tick(), CueListCard.TICK_MS) : null;
+        this._renderRemaining();
+    }
+
+    _tick() {
+        this._renderRemaining();
+
+        // Nothing changes until the next GO once the current cue has run out
+        if (this._getCurrentCueLeftMs() === 0) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+        }
+    }
+
+    _renderCues() {
+        const { list } = this.elements;
+        const { cues, currentIndex } = this.data;
+        list.innerHTML = '';
+
+        cues.forEach((cue, index) => {
+            const li = document.createElement('li');
+            li.classList.toggle('current', index === currentIndex);
+            li.classList.toggle('next', index === currentIndex + 1);
+            li.classList.toggle('done', index < currentIndex);
+
+            const header = document.createElement('div');
+            header.className = 'cue-header';
+            const label = document.createElement('span');
+            label.textContent = `${index + 1}. ${cue.label}`;
+            const duration = document.createElement('span');
+            duration.className = 'cue-duration';
+            duration.textContent = this.cueDurations[index] ? formatMs(this.cueDurations[index]) : '';
+            header.append(label, duration);
+            li.appendChild(header);
+
+            if (cue.notes) {
+                const notes = document.createElement('small');
+                notes.textContent = cue.notes;
+                li.appendChild(notes);
+            }
+            list.appendChild(li);
+        });
+
+        // Keep the current cue in view, scrolling only the list (scrollIntoView would drag the page along mid-show)
+        const current = /** @type {HTMLElement | null} */ (list.querySelector('li.current, li.next'));
+        if (current) list.scrollTop = current.offsetTop - list.offsetTop;
+    }
+
+    _renderRemaining() {
+        this.elements.remaining.textContent = `Remaining ${formatMs(this.getRemainingMs())}`;
+    }
+
+    onCommandsChanged() {
+        // A button got a new file or a new name, so our estimates and labels are stale
+        this._estimateCueDurations(true);
+        this.updateUI();
+        if (this.settingsModal?.modalElement) {
+            this.settingsModal.data.cueList = this._formatCues();
+            this.settingsModal.rebuild();
+        }
+    }
+
+    //#endregion
+
+    // ================================================================
+    // Settings Modal
+    // ================================================================
+    // #region Settings Modal
+
+    openSettings() {
+        super.openSettings();
+        this.settingsModal.data.cueList = this._formatCues();
+        this.settingsModal.rebuild();
+    }
+
+    getSettingsConfig() {
+        return [
+            {
+                title: '',
+                groups: [
+                    {
+                        type: 'title-and-color',
+                        controls: [
+                            { type: 'text', key: 'title', label: '' }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Cues',
+                groups: [
+                    {
+                        type: 'actions-row',
+                        controls: [
+                            { type: 'button', label: 'Add Cue', action: 'add-cue', class: 'accent-color' }
+                        ]
+                    },
+                    {
+                        type: 'list',
+                        controls: [
+                            {
+                                type: 'list',
+                                key: 'cueList',
+                                itemSource: 'cueList',
+                                itemTitleKey: 'label',
+                                emptyMessage: 'No cues yet.',
+                                actions: [
+                                    { label: 'Edit', action: 'edit-cue', class: 'accent-color' },
+                                    { label: '▲', action: 'move-cue-up', class: 'primary-color' },
+                                    { label: '▼', action: 'move-cue-down', class: 'primary-color' },
+                                    { label: 'Remove', action: 'remove-cue', class: 'danger' }
+                                ]
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Danger Zone',
+                groups: [
+                    {
+                        type: 'actions-row',
+                        controls: [
+                            { type: 'button', label: 'Delete Cue List', action: 'delete-card', class: 'danger' }
+                        ]
+                    }
+                ]
+            }
+        ];
+    }
+
+    _handleModalAction(e) {
+        const { action, itemIndex } = e.detail;
+        const cues = [...this.data.cues];
+
+        switch (action) {
+            case 'delete-card':
+                this._handleDeleteCard();
+                return;
+            case 'add-cue':
+                cues.push({ ...CueListCard.DefaultCue(), label: `Cue ${cues.length + 1}` });
+                this._saveCues(cues);
+                this._openCueEditor(cues.length - 1);
+                return;
+            case 'edit-cue':
+                this._openCueEditor(itemIndex);
+                return;
+            case 'move-cue-up':
+            case 'move-cue-down': {
+                const target = action === 'move-cue-up' ? itemIndex - 1 : itemIndex + 1;
+                if (target < 0 || target >= cues.length) return;
+                [cues[itemIndex], cues[target]] = [cues[target], cues[itemIndex]];
+                break;
+            }
+            case 'remove-cue':
+                cues.splice(itemIndex, 1);
+                break;
+            default:
+                return;
+        }
+        this._saveCues(cues);
+    }
+
+    /**
+     * Edits one cue in its own modal. Commands are added with the picker and
+     * listed underneath, since a cue can fire more than one.
+     * @param {number} cueIndex
+     */
+    _openCueEditor(cueIndex) {
+        let cue = this.data.cues[cueIndex];
+        if (!cue) return;
+
+        const editorData = {
+            // Nothing that comes back around to our own GO, directly or through macros and other cue lists
+            allCommands: this.allCommands.filter(c => c.targetCard !== this.id && !Card.leadsBackTo(c.id, this.id)),
+            label: cue.label,
+            notes: cue.notes,
+            hours: Math.floor((cue.expectedDurationMs || 0) / 3600000),
+            minutes: Math.floor(((cue.expectedDurationMs || 0) % 3600000) / 60000),
+            seconds: Math.floor(((cue.expectedDurationMs || 0) % 60000) / 1000),
+            addCommand: null,
+            commandList: this._formatCommands(cue.commandIds)
+        };
+
+        const config = [
+            {
+                title: 'Cue',
+                groups: [
+                    {
+                        type: 'title-and-color',
+                        controls: [
+                            { type: 'text', key: 'label' }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Notes',
+                groups: [
+                    {
+                        type: 'title-and-color',
+                        controls: [
+                            { type: 'text', key: 'notes' }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Expected Duration',
+                groups: [
+                    {
+                        type: 'sliders',
+                        controls: [
+                            { type: 'range', key: 'hours', label: 'Hours', min: 0, max: 23 },
+                            { type: 'range', key: 'minutes', label: 'Minutes', min: 0, max: 59 },
+                            { type: 'range', key: 'seconds', label: 'Seconds', min: 0, max: 59 }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Commands',
+                groups: [
+                    {
+                        type: 'actions-list',
+                        controls: [
+                            { type: 'command-select', key: 'addCommand', label: 'Add:' }
+                        ]
+                    },
+                    {
+                        type: 'list',
+                        controls: [
+                            {
+                                type: 'list',
+                                key: 'commandList',
+                                itemSource: 'commandList',
+                                itemTitleKey: 'name',
+                                emptyMessage: 'No commands, this cue is just a note.',
+                                actions: [
+                                    { label: 'Remove', action: 'remove-command', class: 'danger' }
+                                ]
+                            }
+                        ]
+                    }
+                ]
+            }
+        ];
+
+        const editor = new Modal(`Cue ${cueIndex + 1}`, config, editorData);
+
+        // Cues can be moved or removed from the settings modal while this is open, so follow the cue itself
+        const updateCue = (changes) => {
+            cue = this._updateCue(cue, changes);
+        };
+
+        // Typing and sliding pile up here, then save together
+        let pendingChanges = {};
+        const debouncedUpdate = debounce(() => {
+            const changes = pendingChanges;
+            pendingChanges = {};
+            updateCue(changes);
+        }, 300);
+        const queueUpdate = (changes) => {
+            Object.assign(pendingChanges, changes);
+            debouncedUpdate();
+        };
+
+        const setDuration = () => {
+            queueUpdate({ expectedDurationMs: ((editorData.hours * 60 + editorData.minutes) * 60 + editorData.seconds) * 1000 });
+        };
+
+        editor.modalElement.addEventListener('modal-input', (e) => {
+            const { key, value } = e.detail;
+            switch (key) {
+                case 'label':
+                case 'notes':
+                    editorData[key] = value;
+                    queueUpdate({ [key]: value });
+                    break;
+                case 'hours':
+                case 'minutes':
+                case 'seconds':
+                    editorData[key] = parseInt(value, 10);
+                    setDuration();
+                    break;
+                case 'addCommand': {
+                    if (!value) return;
+                    const commandIds = [...cue.commandIds, value];
+                    updateCue({ commandIds });
+                    editorData.commandList = this._formatCommands(commandIds);
+                    editor.rebuild(); // Also puts the picker back on "None"
+                    break;
+                }
+            }
+        });
+
+        editor.modalElement.addEventListener('modal-action', (e) => {
+            const { action, itemIndex } = e.detail;
+            if (action !== 'remove-command') return;
+
+            const commandIds = cue.commandIds.filter((_, i) => i !== itemIndex);
+            updateCue({ commandIds });
+            editorData.commandList = this._formatCommands(commandIds);
+            editor.rebuild();
+        });
+    }
+
+    /**
+     * @param {object} cue One of this.data.cues, found by identity.
+     * @param {object} changes
+     * @returns {object} The updated cue, or the one passed in if it's been removed.
+     */
+    _updateCue(cue, changes) {
+        const cues = [...this.data.cues];
+        const index = cues.indexOf(cue);
+        if (index === -1) return cue;
+        cues[index] = { ...cue, ...changes };
+        this._saveCues(cues);
+        return cues[index];
+    }
+
+    _saveCues(cues) {
+        // Removing cues can leave us pointing past the end
+        const currentIndex = Math.min(this.data.currentIndex, cues.length - 1);
+        this.updateData({ cues, currentIndex });
+        if (this.settingsModal?.modalElement) {
+            this.settingsModal.data.cueList = this._formatCues(cues);
+            this.settingsModal.rebuild();
+        }
+    }
+
+    _formatCues(cues = this.data.cues) {
+        return cues.map((cue, index) => {
+            const commandCount = cue.commandIds.length;
+            const commands = commandCount === 1 ? '1 command' : `${commandCount} commands`;
+            return { label: `${index + 1}. ${cue.label} (${commands})` };
+        });
+    }
+
+    _formatCommands(commandIds) {
+        return commandIds.map(commandId => ({
+            name: this.allCommands.find(c => c.id === commandId)?.name || 'Missing command'
+        }));
+    }
+
+    //#endregion
+}
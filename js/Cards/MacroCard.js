@@ -0,0 +1,531 @@
+import { debounce } from "../Core/helper-functions.js";
+import { Card } from "./BaseCard.js";
+import { Modal } from "../Core/Modal.js";
+import { MSG } from '../Core/MSG.js';
+import { scheduler } from '../Core/Scheduler.js';
+
+/**
+ * Fires a list of commands one after another, so a whole segment goes with one press.
+ * Each step waits before it fires: a fixed delay, until the step before it is done
+ * (going by its preload ticket's durationMs), or until someone presses "Next Step".
+ */
+export class MacroCard extends Card {
+
+    static WAIT_MODES = [
+        { label: 'Delay after the step before starts', value: 'delay' },
+        { label: 'Wait for the step before to finish (+ delay)', value: 'previous' },
+        { label: 'Wait for "Next Step"', value: 'manual' }
+    ];
+
+    /** @type {Set<string>} Macros part-way through estimateDurationMs, so macros that run each other don't loop forever */
+    static estimating = new Set();
+
+    static Default() {
+        return {
+            type: 'macro',
+            title: 'New Macro',
+            steps: [] // { commandId, wait (see WAIT_MODES), delayMs }
+        };
+    }
+
+    static DefaultStep() {
+        return { commandId: '', wait: 'delay', delayMs: 0 };
+    }
+
+    get templateId() {
+        return 'macro-card-template';
+    }
+
+    //#region Constructor
+
+    constructor(cardData) {
+        super(cardData);
+
+        this.elements = {
+            title: this.cardElement.querySelector('.macro-title'),
+            status: this.cardElement.querySelector('.macro-status'),
+            next: this.cardElement.querySelector('.macro-next'),
+            progressOverlay: this.cardElement.querySelector('.macro-progress-overlay'),
+            runStopBtn: this.cardElement.querySelector('.run-stop-macro-btn'),
+        };
+
+        // Run state only lives as long as the page, a reload starts the macro over
+        this.isRunning = false;
+        this.stepIndex = -1; // The last step that fired
+        this.lastDurationMs = 0; // How long that step said it would take
+        this.waitTimeout = null; // A scheduler timeout, so steps still fire on time in a background tab
+        this.waitStartedAt = 0;
+        this.waitMs = null; // null = waiting for Next Step
+        this.animationFrameId = null;
+
+        this.boundHandleButtonDeletion = this.handleButtonDeletion.bind(this);
+
+        this._initialize();
+    }
+
+    _registerCommands() {
+        this.registerCommand({
+            name: "Run",
+            preload: () => new Card.Ticket({ durationMs: this.estimateDurationMs() }),
+            execute: this.run
+        });
+
+        this.registerCommand({
+            name: "Stop",
+            preload: null,
+            execute: this.stop
+        });
+
+        this.registerCommand({
+            name: "Next Step",
+            preload: null,
+            execute: this.next
+        });
+    }
+
+    _initialize() {
+        this._attachListeners();
+        this.updateUI();
+    }
+
+    _attachListeners() {
+        this.cardElement.addEventListener('click', (event) => {
+            //@ts-ignore
+            const actionElement = event.target.closest('[data-action]');
+            if (!actionElement) return;
+
+            switch (actionElement.dataset.action) {
+                case 'run-stop':
+                    this.isRunning ? this.stop() : this.run();
+                    break;
+                case 'next':
+                    this.next();
+                    break;
+                case 'settings':
+                    this.openSettings();
+                    break;
+            }
+        });
+
+        MSG.on(MSG.is.SOUNDBOARD_DELETED_CARD, this.boundHandleButtonDeletion);
+    }
+
+    destroy() {
+        this._clearWait();
+        MSG.off(MSG.is.SOUNDBOARD_DELETED_CARD, this.boundHandleButtonDeletion);
+        super.destroy();
+    }
+
+    handleButtonDeletion({ deletedId }) {
+        if (!this.data.steps.some(step => step.commandId.startsWith(`${deletedId}:`))) return;
+
+        // Keep the step (and its timing) but it no longer does anything
+        const steps = this.data.steps.map(step =>
+            step.commandId.startsWith(`${deletedId}:`) ? { ...step, commandId: '' } : step
+        );
+        this._saveSteps(steps);
+    }
+
+    //#endregion
+
+    // ================================================================
+    // Sequence Logic
+    // ================================================================
+    //#region Sequence Logic
+
+    /**
+     * Starts from the first step (or starts over, if we're already going).
+     */
+    run() {
+        this._start();
+        this._scheduleNextStep();
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+        this._clearWait();
+        this.isRunning = false;
+        this.stepIndex = -1;
+        this.logAsRun('stop');
+        this.updateUI();
+    }
+
+    /**
+     * Fires the next step right now, whatever it was waiting for. When stopped, fires the first.
+     */
+    next() {
+        if (!this.isRunning) this._start();
+        this._fireStep(this.stepIndex + 1);
+    }
+
+    /**
+     * Roughly how long a run takes, from Run to the end of the last step.
+     * "Next Step" waits count as no time at all, since we can't know. So does running a
+     * macro that's already being estimated further up (A runs B runs A).
+     * @returns {number}
+     */
+    estimateDurationMs() {
+        if (MacroCard.estimating.has(this.id)) return 0;
+        MacroCard.estimating.add(this.id);
+        try {
+            return this._estimateStepsMs();
+        } finally {
+            MacroCard.estimating.delete(this.id);
+        }
+    }
+
+    _estimateStepsMs() {
+        let firedAt = 0;
+        let previousDurationMs = 0;
+        let endsAt = 0;
+
+        this.data.steps.forEach(step => {
+            if (step.wait === 'previous') firedAt += previousDurationMs;
+            if (step.wait !== 'manual') firedAt += step.delayMs || 0;
+
+            previousDurationMs = step.commandId ? this.preloadCommand(step.commandId).durationMs : 0;
+            endsAt = Math.max(endsAt, firedAt + previousDurationMs);
+        });
+        return endsAt;
+    }
+
+    getFiredCommandIds(commandName) {
+        if (commandName !== 'Run' && commandName !== 'Next Step') return null;
+        return this.data.steps.map(step => step.commandId).filter(Boolean);
+    }
+
+    _start() {
+        this._clearWait();
+        this.isRunning = true;
+        this.stepIndex = -1;
+        this.lastDurationMs = 0;
+        this.logAsRun('run');
+    }
+
+    /**
+     * Sets up the wait for whichever step is next, or wraps up if there isn't one.
+     */
+    _scheduleNextStep() {
+        const nextIndex = this.stepIndex + 1;
+        const step = this.data.steps[nextIndex];
+        if (!step) {
+            this._finish();
+            return;
+        }
+
+        if (step.wait === 'manual') {
+            this.waitMs = null; // Next Step fires it
+        } else {
+            this.waitMs = (step.wait === 'previous' ? this.lastDurationMs : 0) + (step.delayMs || 0);
+            this.waitStartedAt = Date.now();
+            this.waitTimeout = scheduler.setTimeout(() => this._fireStep(nextIndex), this.waitMs);
+            this._tick();
+        }
+        this.updateUI();
+    }
+
+    _fireStep(index) {
+        this._clearWait();
+        const step = this.data.steps[index];
+        if (!step) {
+            this._finish();
+            return;
+        }
+
+        this.stepIndex = index;
+        if (step.commandId) {
+            const ticket = this.preloadCommand(step.commandId);
+            this.lastDurationMs = ticket.durationMs;
+            this.executeCommand(step.commandId, ticket.args);
+        } else {
+            this.lastDurationMs = 0;
+        }
+        this._scheduleNextStep();
+    }
+
+    _finish() {
+        this._clearWait();
+        this.isRunning = false;
+        this.stepIndex = -1;
+        this.logAsRun('finish', { trigger: 'auto' });
+        this.updateUI();
+    }
+
+    _clearWait() {
+        scheduler.clearTimeout(this.waitTimeout);
+        this.waitTimeout = null;
+        cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = null;
+    }
+
+    // Only draws the countdown, the timeout is what actually fires the step
+    _tick() {
+        if (!this.waitTimeout) return;
+        this._renderWait();
+        this.animationFrameId = requestAnimationFrame(() => this._tick());
+    }
+
+    //#endregion
+
+    // ================================================================
+    // Rendering
+    // ================================================================
+    //#region Rendering
+
+    updateUI() {
+        const { title, status, runStopBtn } = this.elements;
+        title.textContent = this.data.title;
+
+        runStopBtn.textContent = this.isRunning ? 'Stop' : 'Run';
+        runStopBtn.style.backgroundColor = this.isRunning ? 'var(--primary-color)' : 'var(--accent-color)';
+        runStopBtn.style.color = this.isRunning ? 'var(--primary-color-text)' : 'var(--accent-color-text)';
+
+        const stepCount = this.data.steps.length;
+        if (!this.isRunning) {
+            status.textContent = stepCount === 1 ? '1 step' : `${stepCount} steps`;
+        } else {
+            status.textContent = this.stepIndex < 0 ? 'Starting' : `Step ${this.stepIndex + 1} / ${stepCount}`;
+        }
+        this._renderWait();
+    }
+
+    _renderWait() {
+        const { next, progressOverlay } = this.elements;
+        const nextStep = this.isRunning ? this.data.steps[this.stepIndex + 1] : null;
+
+        if (!nextStep) {
+            next.textContent = '';
+            progressOverlay.style.width = '0%';
+            return;
+        }
+
+        const name = this._getCommandName(nextStep.commandId);
+        if (this.waitMs === null) {
+            next.textContent = `Next: ${name} (press Next)`;
+            progressOverlay.style.width = '0%';
+            return;
+        }
+
+        const elapsedMs = Date.now() - this.waitStartedAt;
+        const remainingS = Math.max(0, Math.ceil((this.waitMs - elapsedMs) / 1000));
+        next.textContent = `Next: ${name} in ${remainingS}s`;
+        progressOverlay.style.width = this.waitMs > 0 ? `${Math.min(100, elapsedMs / this.waitMs * 100)}%` : '0%';
+    }
+
+    _getCommandName(commandId) {
+        if (!commandId) return 'Nothing';
+        return this.allCommands.find(c => c.id === commandId)?.name || 'Missing command';
+    }
+
+    onCommandsChanged() {
+        // Names may have changed
+        this._renderWait();
+        if (this.settingsModal?.modalElement) {
+            this.settingsModal.data.stepList = this._formatSteps();
+            this.settingsModal.rebuild();
+        }
+    }
+
+    //#endregion
+
+    // ================================================================
+    // Settings Modal
+    // ================================================================
+    // #region Settings Modal
+
+    openSettings() {
+        super.openSettings();
+        this.settingsModal.data.stepList = this._formatSteps();
+        this.settingsModal.rebuild();
+    }
+
+    getSettingsConfig() {
+        return [
+            {
+                title: '',
+                groups: [
+                    {
+                        type: 'title-and-color',
+                        controls: [
+                            { type: 'text', key: 'title', label: '' }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Steps',
+                groups: [
+                    {
+                        type: 'actions-row',
+                        controls: [
+                            { type: 'button', label: 'Add Step', action: 'add-step', class: 'accent-color' }
+                        ]
+                    },
+                    {
+                        type: 'list',
+                        controls: [
+                            {
+                                type: 'list',
+                                key: 'stepList',
+                                itemSource: 'stepList',
+                                itemTitleKey: 'label',
+                                emptyMessage: 'No steps yet.',
+                                actions: [
+                                    { label: 'Edit', action: 'edit-step', class: 'accent-color' },
+                                    { label: '▲', action: 'move-step-up', class: 'primary-color' },
+                                    { label: '▼', action: 'move-step-down', class: 'primary-color' },
+                                    { label: 'Remove', action: 'remove-step', class: 'danger' }
+                                ]
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Danger Zone',
+                groups: [
+                    {
+                        type: 'actions-row',
+                        controls: [
+                            { type: 'button', label: 'Delete Macro', action: 'delete-card', class: 'danger' }
+                        ]
+                    }
+                ]
+            }
+        ];
+    }
+
+    _handleModalAction(e) {
+        const { action, itemIndex } = e.detail;
+        const steps = [...this.data.steps];
+
+        switch (action) {
+            case 'delete-card':
+                this._handleDeleteCard();
+                return;
+            case 'add-step':
+                steps.push(MacroCard.DefaultStep());
+                this._saveSteps(steps);
+                this._openStepEditor(steps.length - 1);
+                return;
+            case 'edit-step':
+                this._openStepEditor(itemIndex);
+                return;
+            case 'move-step-up':
+            case 'move-step-down': {
+                const target = action === 'move-step-up' ? itemIndex - 1 : itemIndex + 1;
+                if (target < 0 || target >= steps.length) return;
+                [steps[itemIndex], steps[target]] = [steps[target], steps[itemIndex]];
+                break;
+            }
+            case 'remove-step':
+                steps.splice(itemIndex, 1);
+                break;
+            default:
+                return;
+        }
+        this._saveSteps(steps);
+    }
+
+    /**
+     * Edits one step in its own little modal.
+     * @param {number} stepIndex
+     */
+    _openStepEditor(stepIndex) {
+        const step = this.data.steps[stepIndex];
+        if (!step) return;
+
+        // The modal reads from this object, and we keep it in sync so rebuild() doesn't lose input
+        const editorData = {
+            // Running ourselves from inside ourselves never ends well, even by way of other macros or cue lists
+            allCommands: this.allCommands.filter(c => c.targetCard !== this.id && !Card.leadsBackTo(c.id, this.id)),
+            command: { commandId: step.commandId },
+            wait: step.wait,
+            delaySeconds: (step.delayMs || 0) / 1000
+        };
+
+        const config = [
+            {
+                title: 'Run',
+                groups: [
+                    {
+                        type: 'actions-list',
+                        controls: [
+                            { type: 'command-select', key: 'command', label: 'Command:' }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'When',
+                groups: [
+                    {
+                        type: 'radio-group',
+                        controls: [
+                            { type: 'radio', key: 'wait', options: MacroCard.WAIT_MODES }
+                        ]
+                    },
+                    {
+                        type: 'sliders',
+                        controls: [
+                            { type: 'range', key: 'delaySeconds', label: 'Delay (s)', min: 0, max: 120, step: 0.5 }
+                        ]
+                    }
+                ]
+            }
+        ];
+
+        const editor = new Modal(`Step ${stepIndex + 1}`, config, editorData);
+
+        const debouncedUpdate = debounce((changes) => this._updateStep(stepIndex, changes), 300);
+        editor.modalElement.addEventListener('modal-input', (e) => {
+            const { key, value } = e.detail;
+            switch (key) {
+                case 'command':
+                    editorData.command = { commandId: value };
+                    this._updateStep(stepIndex, { commandId: value });
+                    break;
+                case 'wait':
+                    editorData.wait = value;
+                    this._updateStep(stepIndex, { wait: value });
+                    break;
+                case 'delaySeconds':
+                    editorData.delaySeconds = parseFloat(value);
+                    debouncedUpdate({ delayMs: Math.round(parseFloat(value) * 1000) });
+                    break;
+            }
+        });
+    }
+
+    _updateStep(stepIndex, changes) {
+        const steps = [...this.data.steps];
+        if (!steps[stepIndex]) return;
+        steps[stepIndex] = { ...steps[stepIndex], ...changes };
+        this._saveSteps(steps);
+    }
+
+    _saveSteps(steps) {
+        this.updateData({ steps });
+        if (this.settingsModal?.modalElement) {
+            this.settingsModal.data.stepList = this._formatSteps(steps);
+            this.settingsModal.rebuild();
+        }
+    }
+
+    /**
+     * Labels for the settings list, e.g. "2. After the step before +1.5s: Press: Fanfare".
+     * @param {object[]} [steps]
+     */
+    _formatSteps(steps = this.data.steps) {
+        return steps.map((step, index) => {
+            const delay = step.delayMs ? ` +${step.delayMs / 1000}s` : '';
+            let when;
+            if (step.wait === 'manual') when = 'On Next';
+            else if (step.wait === 'previous') when = `When the step before ends${delay}`;
+            else when = index === 0 ? `At the start${delay}` : `With the step before${delay}`;
+            return { label: `${index + 1}. ${when}: ${this._getCommandName(step.commandId)}` };
+        });
+    }
+
+    //#endregion
+}
@@ -1,6 +1,11 @@
-import { getAudioDuration, getContrastColor, debounce, randomButNot, lerp } from '../Core/helper-functions.js';
+import { getAudioDuration, getContrastColor, debounce, weightedRandomButNot, shuffleArray } from '../Core/helper-functions.js';
 import { AudioPlayer } from '../Core/AudioPlayer.js';
+import { bufferCache, BufferCache } from '../Core/BufferCache.js';
+import { masterBus } from '../Core/MasterBus.js';
+import { measureLoudness, getNormalizationGain } from '../Core/Loudness.js';
+import { computeWaveform } from '../Core/Waveform.js';
 import { Card } from './BaseCard.js';
+import { Modal } from '../Core/Modal.js';
 import { MSG } from '../Core/MSG.js';
 
 /**
@@ -9,6 +14,26 @@ import { MSG } from '../Core/MSG.js';
  */
 export class SoundCard extends Card {
 
+    // Used by the "Fade Out" command when the card's own fade-out time is 0
+    static FALLBACK_FADE_OUT_MS = 1000;
+
+    // How early we line up the next file for a gapless (0ms crossfade) hand-over
+    static GAPLESS_LOOKAHEAD_MS = 500;
+
+    // How "Random" picks the next file
+    static SHUFFLE_MODES = [
+        { label: 'Random (weighted)', value: 'random' },
+        { label: 'Shuffle Bag (no repeats until all have played)', value: 'bag' }
+    ];
+
+    // What pressing the button does while it's already playing
+    static TRIGGER_MODES = [
+        { label: 'Toggle (press again to stop)', value: 'toggle' },
+        { label: 'Retrigger (restart from the top)', value: 'retrigger' },
+        { label: 'Overlap (layer another copy)', value: 'overlap' },
+        { label: 'Hold (plays while held down)', value: 'gate' }
+    ];
+
     static Default() {
         return {
             type: 'sound',
@@ -16,13 +41,31 @@ export class SoundCard extends Card {
             color: "var(--accent-color)",
             volume: 1.0,
             playbackRate: 1.0,
+            preservePitch: false, // speed changes without the chipmunk effect
+            pan: 0, // -1 (left) to 1 (right)
+            eqLow: 0, // 3-band EQ, in dB
+            eqMid: 0,
+            eqHigh: 0,
             shuffle: false,
+            shuffleMode: 'random', // see SHUFFLE_MODES
+            shuffleBag: [], // bag mode: file indices still to play this round, next one first
             loop: false,
             priority: false,
             autoplay: false,
             files: [],
+            fadeInMs: 0,
+            fadeOutMs: 0, // also used when pressing the button to stop
+            crossfade: false, // autoplay/loop: start the next file before this one ends
+            crossfadeMs: 2000, // how much they overlap (0 = gapless)
+            chokeGroup: '', // starting any card in a group stops the others in it ('' = no group)
+            triggerMode: 'toggle', // see TRIGGER_MODES
+            maxVoices: 4, // overlap mode only: how many copies can layer before the oldest is cut
+            outputDeviceId: '', // '' = follow the board output
+            duckGroup: '', // priority cards only duck cards in their group ('' = a priority card ducks everyone)
             duckFactor: 0.4, // how much to duck under priority
-            duckSpeed: 350, // how long to lerp in ms
+            duckAttackMs: 350, // how quickly we get out of the way
+            duckHoldMs: 0, // how long to stay down after the priority sound ends
+            duckReleaseMs: 350, // how quickly we come back up
             duckOffsetMs: 40,
             unduckOffsetMs: 350 // overlap the ducking window on start/end 
         };
@@ -39,12 +82,23 @@ export class SoundCard extends Card {
         // BINDINGS
         this.boundPriorityPlayHandler = this._handlePriorityPlay.bind(this);
         this.boundPriorityStopHandler = this._handlePriorityStop.bind(this);
+        this.boundStopAllHandler = this._handleStopAll.bind(this);
+        this.boundFadeAllHandler = this._handleFadeAll.bind(this);
+        this.boundChokeHandler = this._handleChoke.bind(this);
 
         // GET DOM ELEMENTS
         this._getDOMElemons();
 
 
-        this.data.files.forEach(fileData => this._processFile(fileData));
+        this.data.files.forEach(fileData => {
+            this._processFile(fileData, { analyze: false });
+
+            // Files saved before loudness/waveform analysis existed get measured in the background, one at a time
+            if (SoundCard.needsAnalysis(fileData)) {
+                MSG.say(MSG.ACTIONS.MIGRATION_NEEDED_CARD, { card: this, file: fileData });
+            }
+        });
+        this._warmBuffers(); // Decode ahead of time so the first press is instant
 
         this.player = new AudioPlayer({
             cardElement: this.cardElement,
@@ -54,8 +108,15 @@ export class SoundCard extends Card {
             onEnded: this.onEnded.bind(this),
             onFlagFired: this.onFlagFired.bind(this),
         })
+        this.player.setOutputDevice(this.data.outputDeviceId);
+
+        // Auditions files from the settings modal through the cue output
+        this.previewPlayer = new AudioPlayer({ cardElement: null, progressOverlay: null });
 
         this.currentFileIndex = -1;
+        this.isHandingOver = false; // The next file has been asked for ahead of time (crossfade)
+        this.stopTrigger = null; // Who asked us to stop, logged once we actually go quiet
+        this.isReplacingVoice = false; // True while playFile is cutting the old voice for a new one
 
         this.activePriorityPlayers = new Set();
 
@@ -108,6 +169,14 @@ export class SoundCard extends Card {
             preload: this.getNextPlaybackInfo
         });
 
+        // Stops with a fade instead of a hard cut. The ticket carries the fade length,
+        // so a timer's "End with" can land the silence right on 0:00.
+        this.registerCommand({
+            name: "Fade Out",
+            execute: this.fadeOut,
+            preload: () => new Card.Ticket({ durationMs: this._getFadeOutMs() })
+        });
+
         // Register a specific command for each individual sound file
         /*
         this.data.files.forEach((file, index) => {
@@ -127,6 +196,9 @@ export class SoundCard extends Card {
     _attachListeners() {
         MSG.on(MSG.is.SOUNDCARD_PRIORITY_STARTED, this.boundPriorityPlayHandler);
         MSG.on(MSG.is.SOUNDCARD_PRIORITY_ENDED, this.boundPriorityStopHandler);
+        MSG.on(MSG.ACTIONS.REQUEST_STOP_ALL, this.boundStopAllHandler);
+        MSG.on(MSG.ACTIONS.REQUEST_FADE_ALL, this.boundFadeAllHandler);
+        MSG.on(MSG.is.SOUNDCARD_CHOKE, this.boundChokeHandler);
 
 
         this.cardElement.addEventListener('click', (event) => {
@@ -137,6 +209,10 @@ export class SoundCard extends Card {
             const action = actionElement.dataset.action;
             switch (action) {
                 case 'play':
+                    // Hold mode is driven by the pointer handlers below. A click with no
+                    // pointer behind it (keyboard Enter/Space) still toggles.
+                    //@ts-ignore
+                    if (this.data.triggerMode === 'gate' && event.detail !== 0) break;
                     this.togglePlay(); // Calls its own method
                     break;
                 case 'settings':
@@ -145,6 +221,25 @@ export class SoundCard extends Card {
             }
         });
 
+        // HOLD (GATE) MODE: sound while the button is held down
+        this.elements.soundButton.addEventListener('pointerdown', (event) => {
+            if (this.data.triggerMode !== 'gate' || event.button !== 0) return;
+            //@ts-ignore
+            if (event.target.closest('[data-action="settings"]')) return;
+
+            // Capture so we still hear about the release if the pointer slides off the button
+            this.elements.soundButton.setPointerCapture(event.pointerId);
+            this._startPlayback();
+        });
+
+        const releaseGate = () => {
+            if (this.data.triggerMode !== 'gate') return;
+            this._noteStopTrigger();
+            this.player.fadeOut(this.data.fadeOutMs);
+        };
+        this.elements.soundButton.addEventListener('pointerup', releaseGate);
+        this.elements.soundButton.addEventListener('pointercancel', releaseGate);
+
         this.cardElement.addEventListener('input', debounce((event) => {
             const target = event.target;
             if (!(target instanceof HTMLInputElement)) return;
@@ -153,11 +248,11 @@ export class SoundCard extends Card {
             const value = parseFloat(target.value);
             switch (action) {
                 case 'volume-change':
-                    this.player.audio.volume = value; // Apply the change immediately
+                    this.player.setVolume(value); // Apply the change immediately
                     this.updateData({ volume: value }); // Use our helper to save
                     break;
                 case 'speed-change':
-                    this.player.audio.playbackRate = value; // Apply the change immediately
+                    this.player.setPlaybackRate(value); // Apply the change immediately
                     this.elements.speedDisplay.textContent = `${value.toFixed(1)}x`;
 
                     this.updateData({ playbackRate: value }); // Use our helper to save
@@ -211,16 +306,28 @@ export class SoundCard extends Card {
 
         // Update the speed display text (e.g., "1.5x")
         this.elements.speedDisplay.textContent = `${Number(this.data.playbackRate).toFixed(1)}x`;
+        this.elements.speedDisplay.title = this.data.preservePitch ? 'Pitch is preserved' : 'Speed changes the pitch';
+
+        // Tone lives on the player's chain, so keep it in step with the data
+        this.player.setPan(this.data.pan);
+        this.player.setEq({ low: this.data.eqLow, mid: this.data.eqMid, high: this.data.eqHigh });
+        this.player.setPreservePitch(this.data.preservePitch);
     }
 
 
 
     destroy() {
+        this._noteStopTrigger();
         this.player.destroy();
+        this.previewPlayer.destroy();
+        bufferCache.evictCard(this.id);
         this.closeSettings();
         clearTimeout(this.duckStartTimeout);
         MSG.off(MSG.is.SOUNDCARD_PRIORITY_STARTED, this.boundPriorityPlayHandler);
         MSG.off(MSG.is.SOUNDCARD_PRIORITY_ENDED, this.boundPriorityStopHandler);
+        MSG.off(MSG.ACTIONS.REQUEST_STOP_ALL, this.boundStopAllHandler);
+        MSG.off(MSG.ACTIONS.REQUEST_FADE_ALL, this.boundFadeAllHandler);
+        MSG.off(MSG.is.SOUNDCARD_CHOKE, this.boundChokeHandler);
         super.destroy();
 
     }
@@ -233,17 +340,41 @@ export class SoundCard extends Card {
         if (!file) {
             return new Card.Ticket(); // Return a default ticket if file not found
         }
-        // Creates a standardized ticket with the file's duration and no specific args needed.
+        // Creates a standardized ticket with the file's TRIMMED duration, so timers pre-fire correctly.
+        const { startMs, endMs } = this._getTrimWindow(file);
         return new Card.Ticket({
-            durationMs: file.durationMs || 0,
+            durationMs: endMs - startMs,
             args: {
                 specificIndex: index
             }
         });
     }
 
+    /**
+     * Resolves a file's trim in/out points, falling back to the whole file.
+     * Files saved before trimming existed simply don't have the keys.
+     * @param {object} file An entry from this.data.files
+     * @returns {{ startMs: number, endMs: number }}
+     */
+    _getTrimWindow(file) {
+        const fullMs = file.durationMs || 0;
+        const endMs = Math.min(file.trimEndMs ?? fullMs, fullMs);
+        const startMs = Math.max(0, Math.min(file.trimStartMs || 0, endMs));
+        return { startMs, endMs };
+    }
+
+
+    /**
+     * Fills in everything we work out from the audio itself (duration, loudness).
+     * @param {object} fileData
+     * @param {object} [options]
+     * @param {boolean} [options.analyze=true] Also run the (slow-ish) loudness and waveform analysis.
+     */
+    async _processFile(fileData, { analyze = true } = {}) {
+        if (analyze && SoundCard.needsAnalysis(fileData)) {
+            await this.analyzeFile(fileData);
+        }
 
-    async _processFile(fileData) {
         if (typeof fileData.durationMs === 'number' && fileData.durationMs >= 0) {
             return;
         }
@@ -268,6 +399,58 @@ export class SoundCard extends Card {
         }
     }
 
+    /**
+     * @param {object} fileData
+     * @returns {boolean} True if the file is missing anything analyzeFile() fills in.
+     */
+    static needsAnalysis(fileData) {
+        return fileData.integratedLufs === undefined || fileData.waveform === undefined
+            || SoundCard._wasTooShortToMeasure(fileData);
+    }
+
+    /**
+     * Files under one 400ms loudness block used to come back as null, same as silence.
+     * They can be measured now, and a true peak means they weren't silent.
+     * @param {object} fileData
+     */
+    static _wasTooShortToMeasure(fileData) {
+        return fileData.integratedLufs === null && fileData.truePeakDb != null && fileData.durationMs < 400;
+    }
+
+    /**
+     * Decodes a file once and fills in whatever analysis it's missing: integrated loudness
+     * and true peak (stored next to durationMs) and the waveform peaks for the settings modal.
+     * null means silence (or a file we couldn't decode). Also used by the migration queue.
+     * @param {object} fileData
+     */
+    async analyzeFile(fileData) {
+        try {
+            const audioBuffer = await masterBus.getDecodeContext().decodeAudioData(fileData.arrayBuffer.slice(0));
+
+            if (fileData.integratedLufs === undefined || SoundCard._wasTooShortToMeasure(fileData)) {
+                const { integratedLufs, truePeakDb } = measureLoudness(audioBuffer);
+                fileData.integratedLufs = integratedLufs;
+                fileData.truePeakDb = truePeakDb;
+            }
+            if (fileData.waveform === undefined) {
+                fileData.waveform = computeWaveform(audioBuffer);
+            }
+        } catch (error) {
+            console.error(`Could not analyze ${fileData.fileName}:`, error);
+            fileData.integratedLufs ??= null;
+            fileData.truePeakDb ??= null;
+            fileData.waveform ??= null;
+        }
+    }
+
+    /**
+     * Queues this card's files for decoding into the shared buffer cache.
+     * @param {number[]} [indices] Only warm these file indices (defaults to all).
+     */
+    _warmBuffers(indices) {
+        bufferCache.warm(this.id, this.data.files, indices);
+    }
+
     _determineNextFileIndex() {
         if (this.data.files.length === 0) return null;
 
@@ -278,7 +461,8 @@ export class SoundCard extends Card {
 
         // If shuffle is on, pick a new random file that isn't the current one.
         if (this.data.shuffle) {
-            return randomButNot(0, this.data.files.length, this.currentFileIndex);
+            if (this.data.shuffleMode === 'bag') return this._peekBag();
+            return weightedRandomButNot(this._getWeights(), this.currentFileIndex);
         }
 
         // Otherwise, proceed to the next file in order, wrapping around to the start.
@@ -291,31 +475,124 @@ export class SoundCard extends Card {
 
 
 
+    /**
+     * @returns {number[]} Each file's shuffle weight. Files saved before weights existed count as 1.
+     */
+    _getWeights() {
+        const weights = this.data.files.map(file => file.weight ?? 1);
+        // Every file weighted 0 would mean nothing ever plays, so treat them all equally instead
+        return weights.some(w => w > 0) ? weights : weights.map(() => 1);
+    }
+
+    /**
+     * @returns {number[]} What's left in the bag, ignoring anything that no longer points at a file.
+     */
+    _getBag() {
+        return (this.data.shuffleBag || []).filter(index => index < this.data.files.length);
+    }
+
+    /**
+     * A fresh round: every file goes in the bag (once per point of weight), shuffled.
+     * @returns {number[]}
+     */
+    _fillBag() {
+        const bag = [];
+        this._getWeights().forEach((weight, index) => {
+            for (let n = 0; n < Math.round(weight); n++) bag.push(index);
+        });
+        shuffleArray(bag);
+
+        // Don't start the new round with the file that ended the last one
+        const swapWith = bag.findIndex(index => index !== this.currentFileIndex);
+        if (bag[0] === this.currentFileIndex && swapWith !== -1) {
+            [bag[0], bag[swapWith]] = [bag[swapWith], bag[0]];
+        }
+        return bag;
+    }
+
+    /**
+     * @returns {number | null} The next file in the bag, without taking it out.
+     */
+    _peekBag() {
+        let bag = this._getBag();
+        if (bag.length === 0) {
+            // Kept in memory so the preview and the actual play agree. Saved once something plays.
+            bag = this._fillBag();
+            this.data.shuffleBag = bag;
+        }
+        return bag[0] ?? null;
+    }
+
+    /**
+     * Takes a file that's about to play out of the bag (wherever it is, a timer may ask for a specific one).
+     * @param {number} fileIndex
+     */
+    _takeFromBag(fileIndex) {
+        if (!this.data.shuffle || this.data.shuffleMode !== 'bag' || this.data.loop) return;
+
+        let bag = this._getBag();
+        if (bag.length === 0) bag = this._fillBag();
+
+        const position = bag.indexOf(fileIndex);
+        if (position !== -1) bag.splice(position, 1);
+        // Saved so a reload picks up mid-round, on its own so a play doesn't rewrite every file's audio
+        this.data.shuffleBag = bag;
+        MSG.say(MSG.ACTIONS.REQUEST_SAVE_SHUFFLE_BAG, { cardId: this.id, bag });
+    }
+
     //#endregion
 
     // ================================================================================================
     // #region AUDIO LOGIC METHODS 
     // ================================================================================================
 
-    async playFile(fileIndex) {
+    /**
+     * @param {number} fileIndex
+     * @param {object} [options]
+     * @param {boolean} [options.handover=false] Crossfade (or go gapless) from what's playing instead of cutting it.
+     */
+    async playFile(fileIndex, { handover = false } = {}) {
         const fileData = this.data.files[fileIndex];
         if (!fileData) {
             console.error(`File not found at index ${fileIndex} for button ${this.data.id}`);
             return;
         }
 
+        const { startMs, endMs } = this._getTrimWindow(fileData);
+
         try {
-            await this.player.play(fileData.arrayBuffer, {
+            // play() cuts the old voice straight away (before its first await), which fires onStop.
+            // That's a restart, not the sound ending, so onStop needs to know.
+            this.isReplacingVoice = true;
+            const playing = this.player.play(fileData.arrayBuffer, {
                 volume: this.data.volume,
                 playbackRate: this.data.playbackRate,
-                flagOffsetMs: this.data.unduckOffsetMs
+                flags: {
+                    unduck: this.data.unduckOffsetMs,
+                    next: this._getHandoverOffsetMs()
+                },
+                crossfadeMs: handover ? this.data.crossfadeMs : undefined,
+                maxVoices: this.data.triggerMode === 'overlap' ? this.data.maxVoices : 1,
+                cacheKey: BufferCache.key(this.id, fileIndex),
+                startMs: startMs,
+                endMs: fileData.trimEndMs == null ? null : endMs,
+                fadeInMs: this.data.fadeInMs,
+                fadeOutMs: this.data.fadeOutMs,
+                gain: getNormalizationGain(fileData, masterBus.targetLufs)
             });
+            this.isReplacingVoice = false;
+            await playing;
         } catch (error) {
+            this.isReplacingVoice = false;
             console.error("Error during playback:", error)
         }
     }
 
     onPlay() {
+        if (this.data.chokeGroup) {
+            MSG.say(MSG.is.SOUNDCARD_CHOKE, { cardId: this.id, title: this.data.title, group: this.data.chokeGroup });
+        }
+
          if (this.data.priority) {
         // Always clear any lingering timeout from a previous, uncompleted play attempt
         clearTimeout(this.duckStartTimeout);
@@ -323,7 +600,7 @@ export class SoundCard extends Card {
         // Set a timeout to DELAY the start of the ducking process
         this.duckStartTimeout = setTimeout(() => {
             this.priorityActive = true;
-            MSG.say(MSG.is.SOUNDCARD_PRIORITY_STARTED, { cardId: this.id });
+            MSG.say(MSG.is.SOUNDCARD_PRIORITY_STARTED, { cardId: this.id, duckGroup: this.data.duckGroup });
         }, this.data.duckOffsetMs);
     }
     }
@@ -331,12 +608,29 @@ export class SoundCard extends Card {
     onStop() {
         // This is now the master cleanup handler for all stop scenarios.
 
+        // A retrigger cutting the old voice: the new play is already logged and keeps any ducking going
+        const isRestart = this.isReplacingVoice;
+
+        // Nobody asked us to stop, so it ran out by itself
+        const fileName = this.data.files[this.currentFileIndex]?.fileName;
+        if (!isRestart) {
+            if (this.stopTrigger) {
+                this.logAsRun('stop', { fileName, ...this.stopTrigger });
+            } else {
+                this.logAsRun('end', { fileName, trigger: 'auto' });
+            }
+        }
+        this.stopTrigger = null;
+
         // 1. Always clear the start timeout. If it hasn't fired yet, this prevents it from ever firing.
         clearTimeout(this.duckStartTimeout);
 
+        // A fade-all left us at the ducked level on the way out, don't start the next play there
+        if (!this.isDucked) this.player.duckTo(1, 0);
+
         // 2. If priority mode was successfully activated, send the "ended" signal.
         // This acts as a reliable fallback for manual stops.
-        if (this.data.priority && this.priorityActive) {
+        if (this.data.priority && this.priorityActive && !isRestart) {
             this.priorityActive = false; // Prevent this from firing again
             MSG.say(MSG.is.SOUNDCARD_PRIORITY_ENDED, { cardId: this.id });
         }
@@ -345,39 +639,94 @@ export class SoundCard extends Card {
     // HANDLES WHAT HAPPENS AFTER a sound finishes ON ITS OWN
     onEnded() {
         // This logic should ONLY run when a track finishes naturally.
+        // If the next file is already on its way (crossfade), it's taken care of.
+        if (this.isHandingOver) return;
+        this._playNext();
+    }
+
+    /**
+     * @param {string} flag Which of the flags passed to play() this is.
+     */
+    onFlagFired(flag) {
+        switch (flag) {
+            case 'unduck':
+                // This is the PREFERRED "early unduck" signal.
+                // It only fires if priority mode was successfully activated (i.e., after the initial delay).
+                if (this.data.priority && this.priorityActive) {
+                    this.priorityActive = false; // Set to false FIRST to prevent onStop from re-firing.
+                    MSG.say(MSG.is.SOUNDCARD_PRIORITY_ENDED, { cardId: this.id });
+                }
+                break;
+            case 'next':
+                // Nearly done: line the next file up to overlap this one
+                this._playNext({ handover: true });
+                break;
+        }
+    }
+
+    /**
+     * Plays whatever comes after the current file (loop or autoplay), if anything.
+     * @param {object} [options]
+     * @param {boolean} [options.handover=false] Crossfade into it rather than waiting for silence.
+     */
+    async _playNext({ handover = false } = {}) {
+        let nextFileIndex = null;
         if (this.data.loop) {
-            this.playFile(this.currentFileIndex);
+            nextFileIndex = this.currentFileIndex;
         } else if (this.data.autoplay) {
-            const nextFileIndex = this._determineNextFileIndex();
-            if (nextFileIndex !== null) {
-                this.currentFileIndex = nextFileIndex;
-                this.playFile(nextFileIndex);
-            }
+            nextFileIndex = this._determineNextFileIndex();
         }
-    }
+        if (nextFileIndex === null) return;
 
-    onFlagFired() {
-        // This is the PREFERRED "early unduck" signal.
-        // It only fires if priority mode was successfully activated (i.e., after the initial delay).
-        if (this.data.priority && this.priorityActive) {
-            this.priorityActive = false; // Set to false FIRST to prevent onStop from re-firing.
-            MSG.say(MSG.is.SOUNDCARD_PRIORITY_ENDED, { cardId: this.id });
+        this._takeFromBag(nextFileIndex);
+        this.currentFileIndex = nextFileIndex;
+        this.logAsRun(this.data.loop ? 'loop' : 'play', {
+            fileName: this.data.files[nextFileIndex]?.fileName,
+            trigger: 'auto'
+        });
+        this.isHandingOver = handover;
+        try {
+            await this.playFile(nextFileIndex, { handover });
+        } finally {
+            this.isHandingOver = false;
         }
     }
 
+    /**
+     * How long before the end to ask for the next file (0 = don't, we'll wait for onEnded).
+     * @returns {number}
+     */
+    _getHandoverOffsetMs() {
+        if (!this.data.crossfade || !(this.data.loop || this.data.autoplay)) return 0;
+        return Math.max(this.data.crossfadeMs, SoundCard.GAPLESS_LOOKAHEAD_MS);
+    }
+
     /**
     * Handles playing or stopping the sound. This is the main user interaction point.
      */
     togglePlay({ specificIndex = null } = {}) {
         if (this.data.files.length === 0) return;
 
-        // --- If a sound is playing, the user's click means "STOP". ---
-        if (this.player.isPlaying) {
-            this.player.stop();
+        // --- If a sound is playing, the click means "STOP" unless the trigger mode says otherwise. ---
+        // (Honours the card's fade-out; pressing again mid-fade cuts it immediately.)
+        // Retrigger and overlap fall through: playFile restarts or layers for them.
+        const { triggerMode } = this.data;
+        if (this.player.isPlaying && (triggerMode === 'toggle' || triggerMode === 'gate')) {
+            this._noteStopTrigger();
+            this.player.fadeOut(this.data.fadeOutMs);
             return;
         }
 
-        // --- If no sound is playing, the user's click means "PLAY". ---
+        this._startPlayback(specificIndex);
+    }
+
+    /**
+     * Plays the requested file, or whichever one is up next.
+     * @param {number | null} [specificIndex]
+     */
+    _startPlayback(specificIndex = null) {
+        if (this.data.files.length === 0) return;
+
         let indexToPlay;
         if (specificIndex !== null) {
             indexToPlay = specificIndex; // A specific file is requested (e.g., from a Timer)
@@ -386,59 +735,100 @@ export class SoundCard extends Card {
         }
 
         if (indexToPlay !== null) {
+            this._takeFromBag(indexToPlay);
             this.currentFileIndex = indexToPlay; // Update our state
+            this.stopTrigger = null;
+            this.logAsRun('play', { fileName: this.data.files[indexToPlay]?.fileName });
             this.playFile(indexToPlay);
         }
     }
 
-    _handlePriorityPlay({ cardId }) {
+    /**
+     * Stops the sound with a fade, even if the card's fade-out is set to 0.
+     */
+    fadeOut() {
+        if (!this.player.isPlaying) return;
+        this._noteStopTrigger();
+        this.player.fadeOut(this._getFadeOutMs());
+    }
 
-        //add card to the active priority players list
-        this.activePriorityPlayers.add(cardId);
+    _getFadeOutMs() {
+        return this.data.fadeOutMs > 0 ? this.data.fadeOutMs : SoundCard.FALLBACK_FADE_OUT_MS;
+    }
 
+    /**
+     * Remembers who's stopping us, so the as-run log can say so once the sound is actually gone.
+     * @param {object} [trigger] Defaults to whoever is behind the current call (see Card.withTrigger).
+     */
+    _noteStopTrigger(trigger = Card.currentTrigger) {
+        if (this.player.isPlaying) this.stopTrigger = trigger;
+    }
+
+    // PANIC BUTTONS: board-wide stop / fade requests
+    _handleStopAll() {
+        this._noteStopTrigger();
+        this.player.stop();
+        this._resetPriorityState();
+    }
 
-        if (!this.isDucked && this.data.id !== cardId && !this.data.priority) {
-            this.duck();
+    _handleFadeAll({ fadeOutMs } = {}) {
+        // Fade from wherever we are (ducked or not) rather than jumping back up first
+        if (this.player.isPlaying && !this.player.isFading) {
+            this._noteStopTrigger();
+            this.player.fadeOut(fadeOutMs ?? this._getFadeOutMs());
         }
+        this._resetPriorityState();
+    }
+
+    /**
+     * Forgets every priority/ducking relationship. The duck only snaps back up if we're
+     * silent; a fade-out carries on from the ducked level, and onStop undoes the duck once it's done.
+     */
+    _resetPriorityState() {
+        clearTimeout(this.duckStartTimeout);
+        this.activePriorityPlayers.clear();
+        this.priorityActive = false;
+        this.isDucked = false;
+        if (!this.player.isPlaying) this.player.duckTo(1, 0);
+    }
+
+    // CHOKE GROUPS: another card in my group just started, so I get out of the way
+    _handleChoke({ cardId, title, group }) {
+        if (cardId === this.id || !group || this.data.chokeGroup !== group) return;
+        if (!this.player.isPlaying || this.player.isFading) return;
+
+        this._noteStopTrigger({ trigger: 'card', triggeredBy: title });
+        this.player.fadeOut(this.data.fadeOutMs); // 0 = hard stop
+    }
+
+    _handlePriorityPlay({ cardId, duckGroup = '' }) {
+        if (cardId === this.id || this.data.priority) return;
+
+        // A priority card with no group ducks everyone, otherwise only its own group
+        if (duckGroup && duckGroup !== this.data.duckGroup) return;
+
+        this.activePriorityPlayers.add(cardId);
+        this.duck();
     }
 
     _handlePriorityStop({ cardId }) {
         this.activePriorityPlayers.delete(cardId)
-        // When a priority sound stops, I can return to my normal volume.
-        if (!this.data.priority && this.activePriorityPlayers.size === 0) {
+        // When the last priority sound ducking me stops, I can return to my normal volume.
+        if (this.activePriorityPlayers.size === 0) {
             this.unduck();
         }
     }
 
-    duck(factor = this.data.duckFactor, speed = this.data.duckSpeed) {
+    duck() {
         if (this.isDucked || this.data.priority) return;
         this.isDucked = true;
-        const targetVolume = this.data.volume * factor
-        this.lerpVolume(targetVolume, speed)
+        this.player.duckTo(this.data.duckFactor, this.data.duckAttackMs);
     }
 
-    unduck(speed = this.data.duckSpeed) {
+    unduck() {
         if (!this.isDucked) return;
         this.isDucked = false;
-        this.lerpVolume(this.data.volume, speed);
-    }
-
-
-    /**
-    * Smoothly transitions the card's volume to a target value over a duration.
-    * @param {number} targetVolume The volume to transition to (will be clamped between 0.0 and 1.0).
-    * @param {number} duration The duration of the transition in milliseconds.
-    */
-    lerpVolume(targetVolume, duration) {
-        const clampedTarget = Math.max(0, Math.min(1, targetVolume));
-        const startVolume = this.player.audio.volume;
-
-        // Use the new generic lerp function
-        lerp(startVolume, clampedTarget, duration, (currentVolume) => {
-            // This is our callback function, which runs on every animation frame
-            this.player.audio.volume = currentVolume;
-            this.elements.volumeSlider.value = currentVolume;
-        });
+        this.player.duckTo(1, this.data.duckReleaseMs, this.data.duckHoldMs);
     }
 
     //#endregion
@@ -446,6 +836,12 @@ export class SoundCard extends Card {
     // #region SETTINGS MODAL
     // ==================================
 
+    openSettings() {
+        super.openSettings();
+        // A preview shouldn't keep playing after the modal it came from is gone
+        this.settingsModal?.modalElement.addEventListener('modal-close', () => this.previewPlayer.stop());
+    }
+
     getSettingsConfig() {
         return [
             {
@@ -466,6 +862,129 @@ export class SoundCard extends Card {
                             { type: 'checkbox', key: 'priority', label: 'Priority' },
                             { type: 'checkbox', key: 'loop', label: 'Loop' }
                         ]
+                    },
+                    {
+                        type: 'actions-list',
+                        controls: [
+                            { type: 'select', key: 'shuffleMode', label: 'Random Mode:', options: SoundCard.SHUFFLE_MODES },
+                            {
+                                type: 'select',
+                                key: 'chokeGroup',
+                                label: 'Choke Group:',
+                                options: [
+                                    { label: 'None', value: '' },
+                                    ...['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'].map(g => ({ label: `Group ${g}`, value: g }))
+                                ]
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Trigger',
+                groups: [
+                    {
+                        type: 'actions-list',
+                        controls: [
+                            { type: 'select', key: 'triggerMode', label: 'When pressed while playing:', options: SoundCard.TRIGGER_MODES }
+                        ]
+                    },
+                    {
+                        type: 'sliders',
+                        controls: [
+                            { type: 'range', key: 'maxVoices', label: 'Overlap Voices', min: 2, max: 16, step: 1 }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Output',
+                groups: [
+                    {
+                        type: 'actions-list',
+                        controls: [
+                            {
+                                type: 'select',
+                                key: 'outputDeviceId',
+                                label: 'Play through:',
+                                options: [
+                                    { label: 'Board Output', value: '' },
+                                    ...masterBus.getDeviceOptions(this.data.outputDeviceId)
+                                ]
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Ducking',
+                groups: [
+                    {
+                        type: 'actions-list',
+                        controls: [
+                            {
+                                type: 'select',
+                                key: 'duckGroup',
+                                label: 'Duck Group:',
+                                options: [
+                                    { label: 'None', value: '' },
+                                    ...['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'].map(g => ({ label: `Group ${g}`, value: g }))
+                                ]
+                            }
+                        ]
+                    },
+                    {
+                        type: 'sliders',
+                        controls: [
+                            { type: 'range', key: 'duckFactor', label: 'Duck To', min: 0, max: 1, step: 0.05 },
+                            { type: 'range', key: 'duckAttackMs', label: 'Attack (ms)', min: 0, max: 2000, step: 10 },
+                            { type: 'range', key: 'duckHoldMs', label: 'Hold (ms)', min: 0, max: 5000, step: 50 },
+                            { type: 'range', key: 'duckReleaseMs', label: 'Release (ms)', min: 0, max: 5000, step: 10 }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Tone',
+                groups: [
+                    {
+                        type: 'checkbox-group',
+                        controls: [
+                            { type: 'checkbox', key: 'preservePitch', label: 'Preserve Pitch (speed slider)' }
+                        ]
+                    },
+                    {
+                        type: 'sliders',
+                        controls: [
+                            { type: 'range', key: 'pan', label: 'Pan', min: -1, max: 1, step: 0.05 },
+                            { type: 'range', key: 'eqLow', label: 'Low (dB)', min: -12, max: 12, step: 0.5 },
+                            { type: 'range', key: 'eqMid', label: 'Mid (dB)', min: -12, max: 12, step: 0.5 },
+                            { type: 'range', key: 'eqHigh', label: 'High (dB)', min: -12, max: 12, step: 0.5 }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Fades (ms)',
+                groups: [
+                    {
+                        type: 'sliders',
+                        controls: [
+                            { type: 'range', key: 'fadeInMs', label: 'Fade In', min: 0, max: 10000, step: 50 },
+                            { type: 'range', key: 'fadeOutMs', label: 'Fade Out', min: 0, max: 10000, step: 50 }
+                        ]
+                    },
+                    {
+                        type: 'checkbox-group',
+                        controls: [
+                            { type: 'checkbox', key: 'crossfade', label: 'Crossfade into the next file (Autoplay/Loop)' }
+                        ]
+                    },
+                    {
+                        type: 'sliders',
+                        controls: [
+                            { type: 'range', key: 'crossfadeMs', label: 'Crossfade (0 = gapless)', min: 0, max: 10000, step: 100 }
+                        ]
                     }
                 ]
             },
@@ -498,7 +1017,26 @@ export class SoundCard extends Card {
                                 itemSource: 'files',
                                 itemTitleKey: 'fileName',
                                 emptyMessage: 'No audio files yet.',
+                                // Click anywhere on a file's waveform to hear it from there
+                                itemWaveform: {
+                                    key: 'waveform',
+                                    durationKey: 'durationMs',
+                                    startKey: 'trimStartMs',
+                                    endKey: 'trimEndMs',
+                                    markersKey: 'cues',
+                                    action: 'audition'
+                                },
                                 actions: [
+                                    {
+                                        label: 'Preview',
+                                        action: 'preview-file',
+                                        class: 'primary-color'
+                                    },
+                                    {
+                                        label: 'Trim & Cues',
+                                        action: 'edit-file',
+                                        class: 'accent-color'
+                                    },
                                     {
                                         label: 'Remove',
                                         action: 'remove-file', // Action identifier for list items
@@ -529,6 +1067,17 @@ export class SoundCard extends Card {
         ];
     }
 
+    _handleModalInput(e) {
+        const { key, value } = e.detail;
+        if (!key) return;
+
+        // Sliders hand us strings, but numeric settings should stay numbers in the DB
+        const isNumeric = typeof SoundCard.Default()[key] === 'number';
+        this.updateData({ [key]: isNumeric ? parseFloat(value) : value });
+
+        if (key === 'outputDeviceId') this.player.setOutputDevice(value);
+    }
+
     _handleModalAction(e) {
         const { action, itemIndex } = e.detail;
         switch (action) {
@@ -546,6 +1095,21 @@ export class SoundCard extends Card {
                     this._handleRemoveFile(itemIndex);
                 }
                 break;
+            case 'edit-file':
+                if (itemIndex !== undefined) {
+                    this._openFileEditor(itemIndex);
+                }
+                break;
+            case 'preview-file':
+                if (itemIndex !== undefined) {
+                    this._togglePreview(itemIndex);
+                }
+                break;
+            case 'audition':
+                if (itemIndex !== undefined) {
+                    this._auditionFile(itemIndex, e.detail.timeMs);
+                }
+                break;
         }
     }
 
@@ -560,12 +1124,26 @@ export class SoundCard extends Card {
 
             for (const file of files) {
                 const arrayBuffer = await file.arrayBuffer();
-                const fileData = { fileName: file.name, mimeType: file.type, arrayBuffer: arrayBuffer };
+                const fileData = {
+                    fileName: file.name,
+                    mimeType: file.type,
+                    arrayBuffer: arrayBuffer,
+                    trimStartMs: 0,
+                    trimEndMs: null, // null = play to the end of the file
+                    weight: 1, // how likely Random is to pick it (0 = never)
+                    cues: []
+                };
                 await this._processFile(fileData);
                 newFilesData.push(fileData);
             }
             
+            const firstNewIndex = this.data.files.length;
             await this.updateData({ files: newFilesData });
+
+            // New files are appended, so existing cache entries are still valid
+            const newIndices = newFilesData.map((_, index) => index).slice(firstNewIndex);
+            this._warmBuffers(newIndices);
+
             // The modal needs to be told to re-render the list
             this.settingsModal.rebuild();
         };
@@ -573,22 +1151,296 @@ export class SoundCard extends Card {
     }
 
     async _handleRemoveFile(index) {
+        this._noteStopTrigger();
         this.player.stop();
         const newFiles = [...this.data.files];
         newFiles.splice(index, 1);
-        await this.updateData({ files: newFiles });
+        // The bag holds indices, and they just moved
+        await this.updateData({ files: newFiles, shuffleBag: [] });
+
+        // Removing a file shifts every index after it, so start the cache over
+        bufferCache.evictCard(this.id);
+        this._warmBuffers();
         this.settingsModal.rebuild();
     }
 
     async _handleClearFiles() {
         const confirmed = await MSG.confirm("Are you sure you want to clear all audio files for this button?");
         if (confirmed) {
+            this._noteStopTrigger();
             this.player.stop();
-            await this.updateData({ files: [] });
+            await this.updateData({ files: [], shuffleBag: [] });
+            bufferCache.evictCard(this.id);
             this.settingsModal.rebuild();
         }
     }
 
+    /**
+     * Plays (or stops) a file through the cue/preview output, ignoring the card's volume and fades.
+     * @param {number} fileIndex
+     */
+    _togglePreview(fileIndex) {
+        const file = this.data.files[fileIndex];
+        if (!file) return;
+
+        if (this.previewPlayer.isPlaying && this.previewingIndex === fileIndex) {
+            this.previewPlayer.stop();
+            return;
+        }
+
+        this._auditionFile(fileIndex);
+    }
+
+    /**
+     * Plays a file through the cue/preview output from any point.
+     * @param {number} fileIndex
+     * @param {number | null} [fromMs] Where to start (defaults to the trim in point).
+     */
+    _auditionFile(fileIndex, fromMs = null) {
+        const file = this.data.files[fileIndex];
+        if (!file) return;
+
+        const { startMs, endMs } = this._getTrimWindow(file);
+        const from = fromMs ?? startMs;
+        // Inside the trimmed part we stop at the out point, past it we just play to the end
+        const to = file.trimEndMs != null && from < endMs ? endMs : null;
+
+        this.previewingIndex = fileIndex;
+        this.previewPlayer.setOutputDevice(masterBus.cueDeviceId);
+        this.previewPlayer.play(file.arrayBuffer, {
+            cacheKey: BufferCache.key(this.id, fileIndex),
+            startMs: from,
+            endMs: to
+        }).catch(error => console.error("Error during preview:", error));
+    }
+
+    // #region File Editor (trim & cues)
+
+    /**
+     * Opens a second modal, on top of the settings, for one file's trim points and cue markers.
+     * @param {number} fileIndex
+     */
+    _openFileEditor(fileIndex) {
+        const file = this.data.files[fileIndex];
+        if (!file) return;
+
+        const toSeconds = (ms) => Math.round(ms / 10) / 100;
+        const { startMs, endMs } = this._getTrimWindow(file);
+
+        // The modal reads from this object, and we keep it in sync so rebuild() doesn't lose input
+        const editorData = {
+            trimStart: toSeconds(startMs),
+            trimEnd: toSeconds(endMs),
+            trimStartMs: startMs,
+            trimEndMs: endMs,
+            durationMs: file.durationMs || 0,
+            waveform: file.waveform,
+            newCueName: '',
+            newCueTime: toSeconds(startMs),
+            cues: this._formatCues(file.cues),
+            weight: file.weight ?? 1,
+        };
+
+        const durationS = toSeconds(file.durationMs || 0);
+
+        // Drag the handles on the waveform if we have one, otherwise fall back to sliders
+        const trimSection = file.waveform ? {
+            title: 'Trim (drag the handles, click to listen)',
+            groups: [
+                {
+                    type: 'waveform',
+                    controls: [
+                        {
+                            type: 'waveform',
+                            key: 'waveform',
+                            durationKey: 'durationMs',
+                            startKey: 'trimStartMs',
+                            endKey: 'trimEndMs',
+                            markersKey: 'cues',
+                            action: 'audition',
+                            editable: true
+                        }
+                    ]
+                }
+            ]
+        } : {
+            title: 'Trim (seconds)',
+            groups: [
+                {
+                    type: 'sliders',
+                    controls: [
+                        { type: 'range', key: 'trimStart', label: 'Start', min: 0, max: durationS, step: 0.01 },
+                        { type: 'range', key: 'trimEnd', label: 'End', min: 0, max: durationS, step: 0.01 }
+                    ]
+                }
+            ]
+        };
+
+        const config = [
+            trimSection,
+            {
+                title: 'Random',
+                groups: [
+                    {
+                        type: 'sliders',
+                        controls: [
+                            { type: 'range', key: 'weight', label: 'Weight', min: 0, max: 5, step: 1 }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Cue Markers',
+                groups: [
+                    {
+                        type: 'title-and-color',
+                        controls: [
+                            { type: 'text', key: 'newCueName' }
+                        ]
+                    },
+                    {
+                        type: 'sliders',
+                        controls: [
+                            { type: 'range', key: 'newCueTime', label: 'At', min: 0, max: durationS, step: 0.01 }
+                        ]
+                    },
+                    {
+                        type: 'actions-row',
+                        controls: [
+                            { type: 'button', label: 'Add Cue', action: 'add-cue', class: 'accent-color' }
+                        ]
+                    },
+                    {
+                        type: 'list',
+                        controls: [
+                            {
+                                type: 'list',
+                                key: 'cues',
+                                itemSource: 'cues',
+                                itemTitleKey: 'label',
+                                emptyMessage: 'No cue markers yet.',
+                                actions: [
+                                    { label: 'Remove', action: 'remove-cue', class: 'danger' }
+                                ]
+                            }
+                        ]
+                    }
+                ]
+            }
+        ];
+
+        const editor = new Modal(`Edit: ${file.fileName}`, config, editorData);
+
+        // Every slider tick would otherwise rewrite the whole card (audio included) to the DB.
+        // Changes pile up here until then, so moving two sliders in a row saves both.
+        let pendingChanges = {};
+        const debouncedSave = debounce(() => {
+            const changes = pendingChanges;
+            pendingChanges = {};
+            this._updateFile(fileIndex, changes);
+        }, 300);
+        const save = (changes) => {
+            Object.assign(pendingChanges, changes);
+            debouncedSave();
+        };
+
+        editor.modalElement.addEventListener('modal-input', (e) => {
+            const { key, value } = e.detail;
+            editorData[key] = value;
+
+            // Sliders hand us seconds, the waveform handles hand us milliseconds
+            let trimStartMs, trimEndMs;
+            if (key === 'trimStart') trimStartMs = Math.round(parseFloat(value) * 1000);
+            if (key === 'trimStartMs') trimStartMs = value;
+            if (key === 'trimEnd') trimEndMs = Math.round(parseFloat(value) * 1000);
+            if (key === 'trimEndMs') trimEndMs = value;
+
+            // The fallback sliders can cross each other, so hold each one at the other's position
+            if (key === 'trimStart' && trimStartMs > editorData.trimEndMs) {
+                trimStartMs = editorData.trimEndMs;
+                this._setEditorSlider(editor, key, toSeconds(trimStartMs), editorData);
+            }
+            if (key === 'trimEnd' && trimEndMs < editorData.trimStartMs) {
+                trimEndMs = editorData.trimStartMs;
+                this._setEditorSlider(editor, key, toSeconds(trimEndMs), editorData);
+            }
+            if (trimStartMs !== undefined) editorData.trimStartMs = trimStartMs;
+            if (trimEndMs !== undefined) editorData.trimEndMs = trimEndMs;
+
+            if (key === 'weight') {
+                save({ weight: parseInt(value, 10) });
+            } else if (trimStartMs !== undefined) {
+                save({ trimStartMs });
+            } else if (trimEndMs !== undefined) {
+                // Dragging all the way to the end means "no out point"
+                save({ trimEndMs: trimEndMs >= (file.durationMs || 0) ? null : trimEndMs });
+            }
+        });
+
+        // Auditions shouldn't outlive the editor
+        editor.modalElement.addEventListener('modal-close', () => this.previewPlayer.stop());
+
+        editor.modalElement.addEventListener('modal-action', (e) => {
+            const { action, itemIndex } = e.detail;
+            const cues = [...(this.data.files[fileIndex]?.cues || [])];
+
+            if (action === 'audition') {
+                this._auditionFile(fileIndex, e.detail.timeMs);
+                return;
+            }
+
+            if (action === 'add-cue') {
+                const name = String(editorData.newCueName).trim() || `Cue ${cues.length + 1}`;
+                cues.push({ name, timeMs: Math.round(parseFloat(editorData.newCueTime) * 1000) });
+                cues.sort((a, b) => a.timeMs - b.timeMs);
+                editorData.newCueName = '';
+            } else if (action === 'remove-cue' && itemIndex !== undefined) {
+                cues.splice(itemIndex, 1);
+            } else {
+                return;
+            }
+
+            this._updateFile(fileIndex, { cues });
+            editorData.cues = this._formatCues(cues);
+            editor.rebuild();
+        });
+    }
+
+    /**
+     * Moves a slider in an open editor (and its data) to a value we picked, e.g. after clamping it.
+     * @param {Modal} editor
+     * @param {string} key
+     * @param {number} value
+     * @param {object} editorData
+     */
+    _setEditorSlider(editor, key, value, editorData) {
+        editorData[key] = value;
+        const input = editor.modalElement?.querySelector(`input[data-key="${key}"]`);
+        if (input) input.value = value;
+    }
+
+    /**
+     * Merges changes into one file entry and saves the card.
+     * @param {number} fileIndex
+     * @param {object} changes
+     */
+    _updateFile(fileIndex, changes) {
+        const newFiles = [...this.data.files];
+        if (!newFiles[fileIndex]) return;
+        newFiles[fileIndex] = { ...newFiles[fileIndex], ...changes };
+        this.updateData({ files: newFiles });
+    }
+
+    /**
+     * Adds display labels to cue markers for the modal's list control.
+     * @param {Array<{ name: string, timeMs: number }>} [cues]
+     */
+    _formatCues(cues = []) {
+        return cues.map(cue => ({ ...cue, label: `${cue.name} @ ${(cue.timeMs / 1000).toFixed(2)}s` }));
+    }
+
+    // #endregion
+
     //#endregion
 
 }
\ No newline at end of file
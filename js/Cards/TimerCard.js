@@ -1,9 +1,27 @@
-import { debounce, randomButNot } from "../Core/helper-functions.js";
+import { debounce, randomButNot, formatMs } from "../Core/helper-functions.js";
 import { Card } from "./BaseCard.js";
+import { Modal } from "../Core/Modal.js";
 import { MSG } from '../Core/MSG.js';
+import { scheduler } from '../Core/Scheduler.js';
 
 export class TimerCard extends Card {
 
+    static OFFSET_FROM = [
+        { label: 'Remaining', value: 'remaining' },
+        { label: 'Elapsed', value: 'elapsed' }
+    ];
+
+    static MODES = [
+        { label: 'Timer', value: 'timer' },
+        { label: 'Stopwatch', value: 'stopwatch' },
+        { label: 'Count Down To (clock time)', value: 'clock' }
+    ];
+
+    static MISSED_END_ACTIONS = [
+        { label: 'Skip the end action', value: 'skip' },
+        { label: 'Fire the end action on load', value: 'fire' }
+    ];
+
     static Default() {
         return {
             type: 'timer',
@@ -13,6 +31,10 @@ export class TimerCard extends Card {
             isRunning: false,
             isLooping: false,
             mode: 'timer',
+            targetTime: '15:00:00', // Clock mode: counts down to the next time it's this o'clock
+            repeatDaily: false, // Clock mode: once it gets there, start counting down to the same time tomorrow
+            startTime: null, // Date.now() when it last started running, saved so a reload knows how long it's been
+            missedEndAction: 'skip', // If it finished while the board was closed, see MISSED_END_ACTIONS
 
             // --- UNIFIED STATE OBJECTS ---
             startAction: {
@@ -26,6 +48,21 @@ export class TimerCard extends Card {
                 args: {}
             },
 
+            // Anything else that should happen along the way, see DefaultTimedAction()
+            timedActions: [],
+
+        };
+    }
+
+    static DefaultTimedAction() {
+        return {
+            commandId: "",
+            from: 'remaining', // Which way offsetMs counts, see OFFSET_FROM
+            offsetMs: 30000,
+            prefire: true, // Fire early by the ticket's durationMs so it lands ON the mark, like the end action
+            durationMs: 0,
+            args: {},
+            triggered: false
         };
     }
 
@@ -43,9 +80,12 @@ export class TimerCard extends Card {
         this.timerDisplay = this.cardElement.querySelector('.timer-display span');
         this.timerProgressOverlay = this.cardElement.querySelector('.timer-progress-overlay');
         this.startPauseBtn = this.cardElement.querySelector('.start-pause-timer-btn');
-        this.animationFrameId = null;
+        this.animationFrameId = null; // Drawing only, it stops in background tabs
+        this.wakeTimeoutId = null; // Wakes tick() for the next action/finish, even in background tabs
+        this.wakeDueMs = null; // The elapsed time that wake-up is for
 
         this.boundHandleButtonDeletion = this.handleButtonDeletion.bind(this);
+        this.boundHandleVisibilityChange = this.handleVisibilityChange.bind(this);
 
         this._initialize();
     }
@@ -67,10 +107,84 @@ export class TimerCard extends Card {
     _initialize() {
         this._attachListeners();
         this.updateUI();
-        if (this.data.isRunning) {
+
+        // A running timer can't pick itself back up yet: we're not in the store (so updateData goes
+        // nowhere) and we don't have anyone's commands to fire. The first command broadcast means both are ready.
+        this.isResumePending = this.data.isRunning;
+        if (this.isResumePending && this.data.startTime) {
+            this.renderDisplay((this.data.elapsedMs || 0) + (Date.now() - this.data.startTime));
+        }
+    }
+
+    /**
+     * Picks a running timer back up after a reload (or crash) at the time it would be at now.
+     * Called from the first onCommandsChanged, see _initialize().
+     * Actions that came due while we were closed are skipped rather than all fired at once,
+     * except the end action, which follows the missedEndAction setting.
+     */
+    _resumeAfterReload() {
+        const { startTime, elapsedMs = 0, targetDurationMs, mode, endAction } = this.data;
+
+        // Saved before we kept start times, we can't know how long it's been
+        if (!startTime) {
             this.updateData({ startTime: Date.now() });
             this.tick();
+            return;
+        }
+
+        let currentElapsed = elapsedMs + (Date.now() - startTime);
+        const canFinish = this._countsDown() || targetDurationMs > 0;
+
+        if (canFinish && currentElapsed >= targetDurationMs) {
+            // Log it for when it actually finished, not now
+            this.logAsRun('finish', { trigger: 'auto', timestamp: startTime + (targetDurationMs - elapsedMs) });
+
+            if (this.data.missedEndAction === 'fire' && endAction.commandId && !endAction.triggered) {
+                MSG.log(`Missed End Action Fired from ${this.data.title}`);
+                this.executeCommand(endAction.commandId, endAction.args);
+            }
+
+            if (!this._repeats() || targetDurationMs <= 0) {
+                this.updateData({ isRunning: false, elapsedMs: targetDurationMs });
+                this.updateUI();
+                return;
+            }
+
+            // Daily clock: straight on to counting down to the next one
+            if (mode === 'clock') {
+                Card.withTrigger({ trigger: 'auto' }, () => {
+                    this.reset();
+                    this.handlePlayPause();
+                });
+                return;
+            }
+
+            // Looping: carry on from wherever this loop would be by now. Its start action went off while we were closed.
+            currentElapsed %= targetDurationMs;
+            this.updateData({
+                elapsedMs: 0,
+                startTime: Date.now() - currentElapsed,
+                startAction: { ...this.data.startAction, triggered: true },
+                endAction: { ...endAction, triggered: false },
+                timedActions: this.data.timedActions.map(action => ({ ...action, triggered: false }))
+            });
         }
+
+        // Skip whatever came due while we were closed
+        const timedActions = this.data.timedActions.map(action => {
+            const fireAtMs = this._getFireAtMs(action);
+            const wasMissed = !action.triggered && fireAtMs !== null && fireAtMs <= currentElapsed;
+            return wasMissed ? { ...action, triggered: true } : action;
+        });
+        const currentEndAction = this.data.endAction;
+        const endWasMissed = !currentEndAction.triggered && this.data.targetDurationMs - currentEndAction.durationMs <= currentElapsed;
+        this.updateData({
+            timedActions,
+            // 'fire' leaves it for tick(), which fires it straight away
+            endAction: endWasMissed && this.data.missedEndAction === 'skip' ? { ...currentEndAction, triggered: true } : currentEndAction
+        });
+
+        this.tick();
     }
 
     _attachListeners() {
@@ -93,14 +207,14 @@ export class TimerCard extends Card {
         });
 
         MSG.on(MSG.is.SOUNDBOARD_DELETED_CARD, this.boundHandleButtonDeletion);
+        document.addEventListener('visibilitychange', this.boundHandleVisibilityChange);
     }
 
     destroy() {
         // Stop any active animation loops
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-        }
+        this._stopTicking();
         MSG.off(MSG.is.SOUNDBOARD_DELETED_CARD, this.boundHandleButtonDeletion);
+        document.removeEventListener('visibilitychange', this.boundHandleVisibilityChange);
         super.destroy();
     }
 
@@ -132,26 +246,38 @@ export class TimerCard extends Card {
         let newEndAction = { ...this.data.endAction };
 
         // Check if the start action's command is tied to the deleted card
-        if (newStartAction.commandId && newStartAction.commandId.startsWith(deletedId)) {
+        if (newStartAction.commandId && newStartAction.commandId.startsWith(`${deletedId}:`)) {
             newStartAction = { commandId: "", durationMs: 0, indexToPlay: 0, triggered: false };
             needsUpdate = true;
         }
 
         // Check if the end action's command is tied to the deleted card
-        if (newEndAction.commandId && newEndAction.commandId.startsWith(deletedId)) {
+        if (newEndAction.commandId && newEndAction.commandId.startsWith(`${deletedId}:`)) {
             newEndAction = { commandId: "", durationMs: 0, indexToPlay: 0, triggered: false };
             needsUpdate = true;
         }
 
+        const timedActions = this.data.timedActions.filter(action => !action.commandId.startsWith(`${deletedId}:`));
+        if (timedActions.length !== this.data.timedActions.length) {
+            needsUpdate = true;
+        }
+
         if (needsUpdate) {
-            this.updateData({ startAction: newStartAction, endAction: newEndAction }).then(() => {
+            this.updateData({ startAction: newStartAction, endAction: newEndAction, timedActions }).then(() => {
                 this.updateUI(); // Refresh the dropdowns to show "None"
             });
         }
     }
 
+    // If the browser froze the page while it was hidden, catch up on anything that came due
+    handleVisibilityChange() {
+        if (document.visibilityState === 'visible' && this.data.isRunning) {
+            this.tick();
+        }
+    }
+
     handlePlayPause() {
-        const isFinished = (this.data.mode === 'timer' && this.data.elapsedMs >= this.data.targetDurationMs) ||
+        const isFinished = (this._countsDown() && this.data.elapsedMs >= this.data.targetDurationMs) ||
             (this.data.mode === 'stopwatch' && this.data.targetDurationMs > 0 && this.data.elapsedMs >= this.data.targetDurationMs);
 
         if (!this.data.isRunning && isFinished) {
@@ -164,13 +290,19 @@ export class TimerCard extends Card {
         if (newIsRunning) {
             // If we are starting the timer, also set the start time.
             dataToUpdate.startTime = Date.now();
+            if (this.data.mode === 'clock') {
+                // However long it is until then, on top of however long we've already run
+                dataToUpdate.targetDurationMs = (this.data.elapsedMs || 0) + this._getMsUntilTargetTime();
+            }
+            this.logAsRun('start');
 
             this.updateData(dataToUpdate);
             this.startTimer();
         } else {
             // If we are pausing, calculate the new elapsed time.
-            cancelAnimationFrame(this.animationFrameId);
+            this._stopTicking();
             dataToUpdate.elapsedMs = (this.data.elapsedMs || 0) + (Date.now() - this.data.startTime);
+            this.logAsRun('pause');
 
             this.updateData(dataToUpdate);
         }
@@ -197,27 +329,32 @@ export class TimerCard extends Card {
 
 
     reset() {
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-            this.animationFrameId = null;
-        }
+        this._stopTicking();
 
         // Create new, clean action objects with the 'triggered' flag reset
         const newStartAction = { ...this.data.startAction, triggered: false };
         const newEndAction = { ...this.data.endAction, triggered: false };
+        const newTimedActions = this.data.timedActions.map(action => ({ ...action, triggered: false }));
 
         this.updateData({
             isRunning: false,
             elapsedMs: 0,
             startAction: newStartAction,
-            endAction: newEndAction
+            endAction: newEndAction,
+            timedActions: newTimedActions
         });
 
         this.updateUI();
     }
 
+    /**
+     * Checks for anything due, then draws. Runs every frame while the tab is visible,
+     * and from the scheduler whenever something is due (so it still happens on time
+     * while hidden, when animation frames stop).
+     */
     tick() {
         if (!this.data.isRunning) return;
+        cancelAnimationFrame(this.animationFrameId); // We might be early for a frame, don't start a second loop
 
         const currentElapsed = (this.data.elapsedMs || 0) + (Date.now() - this.data.startTime);
         const remainingMs = this.data.targetDurationMs - currentElapsed;
@@ -231,50 +368,164 @@ export class TimerCard extends Card {
             this.updateData({ endAction: newEndActionState });
         }
 
-        const isTimerFinished = this.data.mode === 'timer' && remainingMs <= 0;
+        this._fireTimedActions(currentElapsed);
+
+        const isTimerFinished = this._countsDown() && remainingMs <= 0;
         const isStopwatchFinished = this.data.mode === 'stopwatch' && this.data.targetDurationMs > 0 && currentElapsed >= this.data.targetDurationMs;
 
         if (isTimerFinished || isStopwatchFinished) {
+            this.logAsRun('finish', { trigger: 'auto' });
 
             if (endAction.commandId && !endAction.triggered) {
                 MSG.log(`Fallback End Action Fired from ${this.data.title}`)
                 this.executeCommand(endAction.commandId, endAction.args);
             }
 
-            if (this.data.isLooping) {
-                this.reset();
-                this.handlePlayPause(); // This will auto-start the next loop
+            if (this._repeats()) {
+                // The next loop (or tomorrow's count down) starts itself, nobody pressed anything
+                Card.withTrigger({ trigger: 'auto' }, () => {
+                    this.reset();
+                    this.handlePlayPause(); // This will auto-start the next loop
+                });
             } else {
+                this._stopTicking();
                 this.updateData({ isRunning: false, elapsedMs: this.data.targetDurationMs });
                 this.updateUI();
             }
             return; // IMPORTANT: Stop the loop for this frame
         }
 
-
-
+        this._scheduleWake(currentElapsed);
         this.renderDisplay(currentElapsed);
         this.animationFrameId = requestAnimationFrame(() => this.tick());
     }
 
+    // Timer and clock mode count down to 0:00, stopwatch counts up
+    _countsDown() {
+        return this.data.mode !== 'stopwatch';
+    }
+
+    _repeats() {
+        return this.data.mode === 'clock' ? this.data.repeatDaily : this.data.isLooping;
+    }
+
+    /**
+     * ms from now until the next time the clock says targetTime (so later today, or tomorrow).
+     * @param {string} [targetTime] "HH:MM:SS" or "HH:MM", as it comes out of a time input.
+     */
+    _getMsUntilTargetTime(targetTime = this.data.targetTime) {
+        const now = Date.now();
+        const [hours, minutes, seconds = 0] = targetTime.split(':').map(Number);
+        const target = new Date(now);
+        target.setHours(hours, minutes, seconds, 0);
+        if (target.getTime() <= now) target.setDate(target.getDate() + 1);
+        return target.getTime() - now;
+    }
+
+    _stopTicking() {
+        cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = null;
+        scheduler.clearTimeout(this.wakeTimeoutId);
+        this.wakeTimeoutId = null;
+        this.wakeDueMs = null;
+    }
 
+    /**
+     * Makes sure tick() runs when the next thing is due, frames or no frames.
+     * Only talks to the scheduler when that moment changes, not every frame.
+     * @param {number} currentElapsed
+     */
+    _scheduleWake(currentElapsed) {
+        const dueMs = this._getNextDueMs(currentElapsed);
+        if (dueMs === this.wakeDueMs) return;
+
+        scheduler.clearTimeout(this.wakeTimeoutId);
+        this.wakeDueMs = dueMs;
+        this.wakeTimeoutId = dueMs === null ? null : scheduler.setTimeout(() => {
+            this.wakeTimeoutId = null;
+            this.wakeDueMs = null;
+            this.tick();
+        }, dueMs - currentElapsed);
+    }
+
+    /**
+     * The next elapsed time something happens: an action fires or the timer finishes.
+     * @param {number} currentElapsed
+     * @returns {number | null}
+     */
+    _getNextDueMs(currentElapsed) {
+        const { mode, targetDurationMs, endAction, timedActions } = this.data;
+        const dueTimes = [];
+
+        if (mode !== 'stopwatch' || targetDurationMs > 0) dueTimes.push(targetDurationMs);
+        if (endAction.commandId && !endAction.triggered) dueTimes.push(targetDurationMs - endAction.durationMs);
+        timedActions.forEach(action => {
+            if (action.triggered || !action.commandId) return;
+            const fireAtMs = this._getFireAtMs(action);
+            if (fireAtMs !== null) dueTimes.push(fireAtMs);
+        });
+
+        const upcoming = dueTimes.filter(ms => ms > currentElapsed);
+        return upcoming.length > 0 ? Math.min(...upcoming) : null;
+    }
+
+
+
+    /**
+     * Fires every timed action whose moment has come. Checked before the finish,
+     * so anything due at (or before) 0:00 still goes on the last frame.
+     * @param {number} currentElapsed
+     */
+    _fireTimedActions(currentElapsed) {
+        let anyFired = false;
+        const timedActions = this.data.timedActions.map(action => {
+            if (action.triggered || !action.commandId) return action;
+
+            const fireAtMs = this._getFireAtMs(action);
+            if (fireAtMs === null || currentElapsed < fireAtMs) return action;
+
+            MSG.log(`Triggering Timed Action from ${this.data.title}`);
+            this.executeCommand(action.commandId, action.args);
+            anyFired = true;
+            return { ...action, triggered: true };
+        });
+
+        if (anyFired) this.updateData({ timedActions });
+    }
+
+    /**
+     * When (in elapsed ms) a timed action should fire.
+     * @returns {number | null} null if it never can, e.g. "remaining" on a stopwatch with no target.
+     */
+    _getFireAtMs(action) {
+        let markMs;
+        if (action.from === 'elapsed') {
+            markMs = action.offsetMs;
+        } else {
+            if (this.data.mode === 'stopwatch' && this.data.targetDurationMs <= 0) return null;
+            markMs = this.data.targetDurationMs - action.offsetMs;
+        }
+        return action.prefire ? markMs - (action.durationMs || 0) : markMs;
+    }
 
     renderDisplay(currentElapsed = this.data.elapsedMs) {
         console.log('renderdisplay')
         let msToDisplay;
-        if (this.data.mode === 'timer') {
+        if (this._countsDown()) {
             msToDisplay = Math.max(0, this.data.targetDurationMs - currentElapsed);
         } else { // stopwatch
             msToDisplay = currentElapsed;
         }
 
         // Round UP seconds because this is a soundboard for live broadcast, so it's important to USE the entire last second - displaying 1 rather than 0 helps with that.
-        const totalSeconds = Math.ceil(msToDisplay / 1000);
-        const minutes = Math.floor(totalSeconds / 60);
-        const seconds = totalSeconds % 60;
-        this.timerDisplay.textContent = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+        this.timerDisplay.textContent = formatMs(msToDisplay);
 
-        if (this.data.mode === 'timer' && msToDisplay > 0 && msToDisplay < 3000) {
+        // A clock timer that hasn't started has no duration yet, so show what it's counting down to
+        if (this.data.mode === 'clock' && !this.data.isRunning && !this.data.elapsedMs) {
+            this.timerDisplay.textContent = `→ ${this.data.targetTime}`;
+        }
+
+        if (this._countsDown() && msToDisplay > 0 && msToDisplay < 3000) {
             const progress = 100 - (msToDisplay / 3000) * 100;
             this.timerProgressOverlay.style.width = `${progress}%`;
         } else {
@@ -283,8 +534,8 @@ export class TimerCard extends Card {
 
         // Apply glow effect for finished states
         const isStopwatchFinished = this.data.mode === 'stopwatch' && currentElapsed >= this.data.targetDurationMs && this.data.targetDurationMs > 0;
-        const isTimerFinished = this.data.mode === 'timer' && (this.data.targetDurationMs - currentElapsed) <= 0;
-        const shouldGlow = isStopwatchFinished || (isTimerFinished && !this.data.isLooping);
+        const isTimerFinished = this._countsDown() && (this.data.targetDurationMs - currentElapsed) <= 0;
+        const shouldGlow = isStopwatchFinished || (isTimerFinished && !this._repeats());
 
         this.cardElement.classList.toggle('hover-glow', shouldGlow);
         this.timerDisplay.classList.toggle('finished', shouldGlow);
@@ -322,27 +573,10 @@ export class TimerCard extends Card {
                     {
                         type: 'radio-group', // A new group type for the mode
                         controls: [
-                            {
-                                type: 'radio', key: 'mode', options: [
-                                    { label: 'Timer', value: 'timer' },
-                                    { label: 'Stopwatch', value: 'stopwatch' }
-                                ]
-                            }
+                            { type: 'radio', key: 'mode', options: TimerCard.MODES }
                         ]
                     },
-                    {
-                        type: 'sliders',
-                        controls: [
-                            { type: 'range', key: 'minutes', label: 'Minutes', min: 0, max: 90, showValue: true, value: Math.floor(this.data.targetDurationMs / 60000) },
-                            { type: 'range', key: 'seconds', label: 'Seconds', min: 0, max: 59, showValue: true, value: Math.floor((this.data.targetDurationMs % 60000) / 1000) }
-                        ]
-                    },
-                    {
-                        type: 'checkbox-group',
-                        controls: [
-                            { type: 'checkbox', key: 'isLooping', label: 'Auto Restart' }
-                        ]
-                    }
+                    ...(this.data.mode === 'clock' ? this._getClockSettingsGroups() : this._getDurationSettingsGroups())
                 ]
             },
             {
@@ -353,7 +587,35 @@ export class TimerCard extends Card {
                         controls: [
                             // This now tells the Modal class to build the dropdowns
                             { type: 'command-select', key: 'startAction', label: 'Start with:', itemSource: 'allCommands' },
-                            { type: 'command-select', key: 'endAction', label: 'End with:', itemSource: 'allCommands' }
+                            { type: 'command-select', key: 'endAction', label: 'End with:', itemSource: 'allCommands' },
+                            { type: 'select', key: 'missedEndAction', label: 'If it ended while the board was closed:', options: TimerCard.MISSED_END_ACTIONS }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Timed Actions',
+                groups: [
+                    {
+                        type: 'actions-row',
+                        controls: [
+                            { type: 'button', label: 'Add Timed Action', action: 'add-timed-action', class: 'accent-color' }
+                        ]
+                    },
+                    {
+                        type: 'list',
+                        controls: [
+                            {
+                                type: 'list',
+                                key: 'timedActionList',
+                                itemSource: 'timedActionList',
+                                itemTitleKey: 'label',
+                                emptyMessage: 'Nothing between the start and the end.',
+                                actions: [
+                                    { label: 'Edit', action: 'edit-timed-action', class: 'accent-color' },
+                                    { label: 'Remove', action: 'remove-timed-action', class: 'danger' }
+                                ]
+                            }
                         ]
                     }
                 ]
@@ -373,24 +635,238 @@ export class TimerCard extends Card {
         ];
     }
 
+    _getDurationSettingsGroups() {
+        return [
+            {
+                type: 'sliders',
+                controls: [
+                    { type: 'range', key: 'hours', label: 'Hours', min: 0, max: 23 },
+                    { type: 'range', key: 'minutes', label: 'Minutes', min: 0, max: 59 },
+                    { type: 'range', key: 'seconds', label: 'Seconds', min: 0, max: 59 }
+                ]
+            },
+            {
+                type: 'checkbox-group',
+                controls: [
+                    { type: 'checkbox', key: 'isLooping', label: 'Auto Restart' }
+                ]
+            }
+        ];
+    }
+
+    _getClockSettingsGroups() {
+        return [
+            {
+                type: 'actions-list',
+                controls: [
+                    { type: 'time', key: 'targetTime', label: 'Count down to:', step: 1 }
+                ]
+            },
+            {
+                type: 'checkbox-group',
+                controls: [
+                    { type: 'checkbox', key: 'repeatDaily', label: 'Repeat Daily' }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * targetDurationMs split up for the sliders.
+     */
+    _getDurationParts() {
+        const totalSeconds = Math.floor(this.data.targetDurationMs / 1000);
+        return {
+            hours: Math.floor(totalSeconds / 3600),
+            minutes: Math.floor((totalSeconds % 3600) / 60),
+            seconds: totalSeconds % 60
+        };
+    }
+
+    openSettings() {
+        super.openSettings();
+        this._refreshSettingsModal();
+    }
+
+    // The modal works from a copy of our data, this brings it up to date (and swaps the mode-specific controls)
+    _refreshSettingsModal() {
+        if (!this.settingsModal?.modalElement) return;
+        Object.assign(this.settingsModal.data, this.data, this._getDurationParts(), {
+            timedActionList: this._formatTimedActions()
+        });
+        this.settingsModal.config = this._withHotkeySection(this.getSettingsConfig());
+        this.settingsModal.rebuild();
+    }
+
+    onCommandsChanged() {
+        if (this.isResumePending) {
+            this.isResumePending = false;
+            // Someone may have paused it in the meantime
+            if (this.data.isRunning) this._resumeAfterReload();
+        }
+
+        // Command names in the list may have changed
+        this._refreshSettingsModal();
+    }
+
     _handleModalAction(e) {
-        const { action } = e.detail;
-        if (action === 'delete-card') {
-            this._handleDeleteCard();
+        const { action, itemIndex } = e.detail;
+        switch (action) {
+            case 'delete-card':
+                this._handleDeleteCard();
+                break;
+            case 'add-timed-action': {
+                const timedActions = [...this.data.timedActions, TimerCard.DefaultTimedAction()];
+                this._saveTimedActions(timedActions);
+                this._openTimedActionEditor(timedActions.length - 1);
+                break;
+            }
+            case 'edit-timed-action':
+                this._openTimedActionEditor(itemIndex);
+                break;
+            case 'remove-timed-action':
+                this._saveTimedActions(this.data.timedActions.filter((_, i) => i !== itemIndex));
+                break;
         }
     }
 
+    /**
+     * Edits one timed action in its own modal.
+     * @param {number} actionIndex
+     */
+    _openTimedActionEditor(actionIndex) {
+        const action = this.data.timedActions[actionIndex];
+        if (!action) return;
+
+        const editorData = {
+            allCommands: this.allCommands,
+            command: { commandId: action.commandId },
+            from: action.from,
+            hours: Math.floor(action.offsetMs / 3600000),
+            minutes: Math.floor((action.offsetMs % 3600000) / 60000),
+            seconds: Math.floor((action.offsetMs % 60000) / 1000),
+            prefire: action.prefire
+        };
+
+        const config = [
+            {
+                title: 'Run',
+                groups: [
+                    {
+                        type: 'actions-list',
+                        controls: [
+                            { type: 'command-select', key: 'command', label: 'Command:' }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'At',
+                groups: [
+                    {
+                        type: 'sliders',
+                        controls: [
+                            { type: 'range', key: 'hours', label: 'Hours', min: 0, max: 23 },
+                            { type: 'range', key: 'minutes', label: 'Minutes', min: 0, max: 59 },
+                            { type: 'range', key: 'seconds', label: 'Seconds', min: 0, max: 59 }
+                        ]
+                    },
+                    {
+                        type: 'radio-group',
+                        controls: [
+                            { type: 'radio', key: 'from', options: TimerCard.OFFSET_FROM }
+                        ]
+                    },
+                    {
+                        type: 'checkbox-group',
+                        controls: [
+                            { type: 'checkbox', key: 'prefire', label: 'Pre-fire (finish on the mark instead of starting on it)' }
+                        ]
+                    }
+                ]
+            }
+        ];
+
+        const editor = new Modal(`Timed Action ${actionIndex + 1}`, config, editorData);
+        const debouncedUpdate = debounce((changes) => this._updateTimedAction(actionIndex, changes), 300);
+
+        editor.modalElement.addEventListener('modal-input', async (e) => {
+            const { key, value } = e.detail;
+            switch (key) {
+                case 'command': {
+                    editorData.command = { commandId: value };
+                    const { commandId, durationMs, args } = await this._prepareAction(value);
+                    this._updateTimedAction(actionIndex, { commandId, durationMs, args });
+                    break;
+                }
+                case 'from':
+                case 'prefire':
+                    editorData[key] = value;
+                    this._updateTimedAction(actionIndex, { [key]: value });
+                    break;
+                case 'hours':
+                case 'minutes':
+                case 'seconds':
+                    editorData[key] = parseInt(value, 10);
+                    debouncedUpdate({ offsetMs: ((editorData.hours * 60 + editorData.minutes) * 60 + editorData.seconds) * 1000 });
+                    break;
+            }
+        });
+    }
+
+    _updateTimedAction(actionIndex, changes) {
+        const timedActions = [...this.data.timedActions];
+        if (!timedActions[actionIndex]) return;
+        timedActions[actionIndex] = { ...timedActions[actionIndex], ...changes };
+        this._saveTimedActions(timedActions);
+    }
+
+    _saveTimedActions(timedActions) {
+        this.updateData({ timedActions });
+        if (this.settingsModal?.modalElement) {
+            this.settingsModal.data.timedActionList = this._formatTimedActions(timedActions);
+            this.settingsModal.rebuild();
+        }
+    }
+
+    /**
+     * Labels for the settings list, e.g. "At 00:30 remaining: Press: Sting (lands on the mark)".
+     */
+    _formatTimedActions(timedActions = this.data.timedActions) {
+        return timedActions.map(action => {
+            const at = formatMs(action.offsetMs);
+            const name = this.allCommands.find(c => c.id === action.commandId)?.name || 'Nothing';
+            const landing = action.prefire ? ' (lands on the mark)' : '';
+            return { label: `At ${at} ${action.from}: ${name}${landing}` };
+        });
+    }
+
     async _handleModalInput(e) {
         const { key, value } = e.detail;
 
+        // If the mode changed while the timer wasn't running, reset it.
+        // (Before building the update, or the update would put the old elapsed time back.)
+        const modeChanged = key === 'mode' && value !== this.data.mode;
+        if (modeChanged && !this.data.isRunning) {
+            this.reset();
+        }
+
         // Create a temporary data object to build the update
         const updatedData = { ...this.data, [key]: value };
 
-        // Re-calculate targetDurationMs if minutes or seconds changed
-        if (key === 'minutes' || key === 'seconds') {
-            const minutes = key === 'minutes' ? parseInt(value, 10) : Math.floor(this.data.targetDurationMs / 60000);
-            const seconds = key === 'seconds' ? parseInt(value, 10) : Math.floor((this.data.targetDurationMs % 60000) / 1000);
-            updatedData.targetDurationMs = (minutes * 60 + seconds) * 1000;
+        // Re-calculate targetDurationMs if hours, minutes or seconds changed
+        if (key === 'hours' || key === 'minutes' || key === 'seconds') {
+            const parts = { ...this._getDurationParts(), [key]: parseInt(value, 10) };
+            updatedData.targetDurationMs = ((parts.hours * 60 + parts.minutes) * 60 + parts.seconds) * 1000;
+        }
+
+        if (key === 'targetTime' && !value) return; // Half-typed or cleared, wait for a real time
+
+        // Already counting down to a clock time (or just switched to that while running)? Aim at the new time from here.
+        const isRetargeting = this.data.isRunning && updatedData.mode === 'clock' && (key === 'targetTime' || modeChanged);
+        const currentElapsed = this.data.isRunning ? (this.data.elapsedMs || 0) + (Date.now() - this.data.startTime) : 0;
+        if (isRetargeting) {
+            updatedData.targetDurationMs = currentElapsed + this._getMsUntilTargetTime(updatedData.targetTime);
         }
 
         // Re-prepare action objects if they were changed
@@ -401,13 +877,16 @@ export class TimerCard extends Card {
             updatedData.endAction = await this._prepareAction(value);
         }
 
-        // If the mode changed while the timer wasn't running, reset it.
-        if (key === 'mode' && value !== this.data.mode && !this.data.isRunning) {
-            this.reset();
-        }
-        
         // Update the card's state with all the changes
         this.updateData(updatedData);
+
+        // The old wake-up was for the old target, and a background tab won't tick before it
+        if (isRetargeting) this._scheduleWake(currentElapsed);
+
+        // Clock mode has different settings
+        if (modeChanged) {
+            this._refreshSettingsModal();
+        }
     }
 
     //#endregion
@@ -1,27 +1,74 @@
+import { masterBus } from './MasterBus.js';
+import { bufferCache } from './BufferCache.js';
+import { MSG } from './MSG.js';
+
+const PITCH_SHIFTER_URL = new URL('./PitchShifterWorklet.js', import.meta.url);
+
+// Where the 3-band EQ bands sit
+const EQ_LOW_HZ = 250;
+const EQ_MID_HZ = 1000;
+const EQ_HIGH_HZ = 4000;
+
+/**
+ * One playing instance of a sound. A player usually has one of these at a time,
+ * but can layer several (see the maxVoices play option).
+ * @typedef {object} Voice
+ * @property {AudioBufferSourceNode} source
+ * @property {GainNode} envelope Per-voice fade in / tail fade. Tone, card volume and ducking live on the player's chain.
+ * @property {{ startedAt: number, offsetS: number }} clock position = offsetS + (context.currentTime - startedAt) * playbackRate
+ * @property {{ startS: number, endS: number }} window The slice of the buffer being played (trim in/out points), in seconds.
+ * @property {{ flags: { name: string, offsetS: number, hasFired: boolean }[], fadeOutS: number, hasStartedTailFade: boolean }} monitor
+ */
+
 export class AudioPlayer {
     /**
      * @param {object} options
-     * @param {HTMLElement} options.cardElement - The UI element for feedback (glow).
-     * @param {HTMLElement} options.progressOverlay - The UI element for the progress bar.
-     * @param {() => void} [options.onPlay] - Optional: Callback when playback starts.
-     * @param {() => void} [options.onStop] - Optional: Callback when playback stops.
-     * @param {() => void} [options.onEnded] - Optional: Callback when playback finishes naturally.
-     * @param {() => void} [options.onFlagFired] - Optional: Callback for the timed flag event.
+     * @param {HTMLElement | null} options.cardElement - The UI element for feedback (glow).
+     * @param {HTMLElement | null} options.progressOverlay - The UI element for the progress bar.
+     * @param {() => void} [options.onPlay] - Optional: Callback when a voice starts.
+     * @param {() => void} [options.onStop] - Optional: Callback when the player goes silent (last voice gone).
+     * @param {() => void} [options.onEnded] - Optional: Callback when the last voice finishes naturally.
+     * @param {(name: string) => void} [options.onFlagFired] - Optional: Callback for the timed flag events (see the flags play option).
      */
     constructor({ cardElement, progressOverlay, onPlay, onStop, onEnded, onFlagFired }) {
         // --- Dependencies & State ---
         this.elements = { cardElement, progressOverlay };
         this.callbacks = { onPlay, onStop, onEnded, onFlagFired }; // Store all callbacks.
 
-        this.audio = new Audio();
-        this.isPlaying = false;
+        // --- Audio Graph ---
+        // source -> envelope (per voice) -> input -> (pitch shifter) -> EQ -> panner -> ducker -> output (this card's gain) -> master bus
+        /** @type {GainNode | null} Where every voice meets. */
+        this.input = null;
+        /** @type {GainNode | null} */
+        this.output = null; // Built lazily, see _ensureGraph()
+        /** @type {{ low: BiquadFilterNode, mid: BiquadFilterNode, high: BiquadFilterNode } | null} */
+        this.eq = null;
+        /** @type {StereoPannerNode | null} */
+        this.panner = null;
+        /** @type {GainNode | null} Ducking gets its own stage so it stacks with the volume and fades. */
+        this.ducker = null;
+        /** @type {AudioWorkletNode | null} Only built once someone asks to preserve pitch. */
+        this.pitchShifter = null;
+        this._isShifting = false; // Whether the input currently feeds the pitch shifter
+        this.outputDeviceId = ''; // '' = the master bus, otherwise a specific output device
+
+        // Tone settings, kept here so they can be applied whenever the graph gets built
+        this.tone = { pan: 0, eqLow: 0, eqMid: 0, eqHigh: 0, preservePitch: false };
+
+        /** @type {Voice[]} Oldest first, so the last one is the newest. */
+        this.voices = [];
+
+        this.isFading = false; // True during a stop-with-fade, before the voices actually stop
+        this.volume = 1.0;
+        this.playbackRate = 1.0;
         this.rafId = null;
-        this._monitor = {
-            flagOffsetS: 0,
-            hasFiredFlag: false,
-        };
 
-        this._setupListeners();
+        // Bumped on every stop so a slow decode can tell it has been superseded.
+        this._playToken = 0;
+    }
+
+    get isPlaying() {
+        return this.voices.length > 0;
     }
 
     // --- Public API ---
@@ -32,49 +79,222 @@ export class AudioPlayer {
      * @param {object} [options] Playback options.
      * @param {number} [options.volume=1]
      * @param {number} [options.playbackRate=1]
-     * @param {number} [options.flagOffsetMs=0] Milliseconds from the end to fire the onFlagFired callback.
-     * @returns {Promise<number>} A promise that resolves with the audio duration in milliseconds.
-     */
-    play(arrayBuffer, options = {}) {
-        this.stop(); // Stop any previous playback first.
-
-        return new Promise(resolve => {
-            const blob = new Blob([arrayBuffer]);
-            this.audio.src = URL.createObjectURL(blob);
-            this.audio.volume = options.volume ?? 1.0;
-            this.audio.playbackRate = options.playbackRate ?? 1.0;
-            
-            // Set up monitoring state for this playback session
-            this._monitor.flagOffsetS = (options.flagOffsetMs ?? 0) / 1000;
-            this._monitor.hasFiredFlag = false;
-
-            this.audio.onloadedmetadata = () => {
-                this.audio.play().catch(e => console.error("Audio playback failed:", e));
-                resolve(this.audio.duration * 1000);
-            };
-        });
+     * @param {Object<string, number>} [options.flags] Named flags: onFlagFired(name) fires this many
+     * milliseconds before the out point (0 = don't fire).
+     * @param {string} [options.cacheKey] BufferCache key; when given, the decoded buffer is reused/cached.
+     * @param {number} [options.startMs=0] Trim in point: where in the file to start playing.
+     * @param {number | null} [options.endMs=null] Trim out point: where to stop (null = end of file).
+     * @param {number} [options.fadeInMs=0] Ramp up from silence over this long.
+     * @param {number} [options.fadeOutMs=0] Ramp down to silence over this long before the out point.
+     * @param {number} [options.gain=1] Per-voice gain on top of the card volume (loudness normalization).
+     * @param {number} [options.maxVoices=1] 1 replaces whatever is playing. More layers a new voice
+     * on top, cutting the oldest once the limit is reached.
+     * @param {number} [options.crossfadeMs] Hand over from what's playing instead of cutting it: the new
+     * voice starts this long before the current one's out point and they crossfade (0 = gapless, back to back).
+     * @returns {Promise<number>} A promise that resolves with the (trimmed) audio duration in milliseconds.
+     */
+    async play(arrayBuffer, options = {}) {
+        const maxVoices = Math.max(1, options.maxVoices ?? 1);
+        const isHandover = options.crossfadeMs != null && this.isPlaying && !this.isFading;
+        if (!isHandover && (maxVoices === 1 || this.isFading)) {
+            this.stop(); // Stop any previous playback first.
+        }
+        const token = this._playToken;
+
+        const context = this._ensureGraph();
+        await masterBus.resume();
+
+        // A warm cache means no decode at all. Otherwise decode a copy, since
+        // decodeAudioData detaches the buffer it's handed.
+        const buffer = options.cacheKey
+            ? await bufferCache.load(options.cacheKey, arrayBuffer)
+            : await context.decodeAudioData(arrayBuffer.slice(0));
+
+        this.playbackRate = options.playbackRate ?? 1.0;
+        await this._updatePitchShifter(); // First use loads the worklet
+
+        // Clamp the trim points to the actual buffer so bad data can't break playback
+        const endS = Math.min(buffer.duration, (options.endMs ?? buffer.duration * 1000) / 1000);
+        const startS = Math.max(0, Math.min(endS, (options.startMs ?? 0) / 1000));
+        const durationMs = (endS - startS) * 1000;
+
+        // Someone pressed stop (or play again) while we were decoding.
+        if (token !== this._playToken) {
+            return durationMs;
+        }
+
+        // The outgoing voice may have finished while we were decoding, then it's just a normal start
+        if (isHandover && this.isPlaying) {
+            const { startAt, overlapS } = this._retireVoices(options.crossfadeMs);
+            this._startVoice(buffer, startS, endS, options, { startAt, crossfadeS: overlapS });
+            return durationMs;
+        }
+
+        // Make room for the new voice by cutting the oldest ones
+        while (this.voices.length >= maxVoices) {
+            this._removeVoice(this.voices[0]);
+        }
+
+        this.volume = options.volume ?? 1.0;
+
+        // Coming out of silence, reset the card level (a fade-out leaves it at 0).
+        // Ducking lives on its own stage, so it carries on either way.
+        if (!this.isPlaying) {
+            const gain = this.output.gain;
+            gain.cancelScheduledValues(context.currentTime);
+            gain.setValueAtTime(this.volume, context.currentTime);
+        }
+
+        this._startVoice(buffer, startS, endS, options);
+        return durationMs;
     }
 
     /**
-     * Stops playback, cleans up the monitoring loop, and notifies the owner.
+     * Stops every voice, cleans up the monitoring loop, and notifies the owner.
      */
     stop() {
-        this.audio.pause();
-        this.audio.currentTime = 0; // Reset position
+        this._playToken++;
 
-        
+        const wasPlaying = this.isPlaying;
+        [...this.voices].forEach(voice => this._removeVoice(voice));
 
         this._stopMonitoring();
-        this._monitor.hasFiredFlag = false;
+        this.isFading = false;
+        this._resetUI();
 
-        if (this.audio.src) {
-            URL.revokeObjectURL(this.audio.src);
+        if (wasPlaying) {
+            this._fireCallback('onStop');
         }
+    }
 
-        this._resetUI();
+    /**
+     * Fades the output to silence, then stops. Playback (and the progress overlay)
+     * carries on through the fade tail; onStop fires once it's actually silent.
+     * Calling this again mid-fade cuts the sound immediately.
+     * @param {number} durationMs
+     */
+    fadeOut(durationMs) {
+        if (!this.isPlaying || durationMs <= 0 || this.isFading) {
+            this.stop();
+            return;
+        }
+
+        this._playToken++; // Anything still decoding shouldn't start up mid-fade
+        this.isFading = true;
+        const gain = this.output.gain;
+        const now = this.output.context.currentTime;
+        const endTime = now + durationMs / 1000;
+
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(0, endTime);
+
+        // Ending early on purpose is still a stop, not a natural end (no autoplay/loop)
+        this.voices.forEach(voice => {
+            voice.source.onended = () => this._handleVoiceEnded(voice, false);
+            voice.source.stop(endTime);
+        });
     }
 
-    
+    /**
+     * Sets the card's volume immediately (with a tiny smoothing to avoid zipper noise).
+     * @param {number} volume 0.0 - 1.0
+     */
+    setVolume(volume) {
+        this.volume = volume;
+        if (this.isFading) return; // Don't fight the fade-out
+        const context = this._ensureGraph();
+        const gain = this.output.gain;
+        gain.cancelScheduledValues(context.currentTime);
+        gain.setTargetAtTime(volume, context.currentTime, 0.015);
+    }
+
+    /**
+     * Moves the duck stage to a new level, like a sidechain compressor: an exponential
+     * curve that gets most of the way there in timeMs. Because it's a separate stage,
+     * the volume slider and fade-outs still work as normal while ducked.
+     * @param {number} level 1 = not ducked, 0 = silent.
+     * @param {number} timeMs Attack (going down) or release (coming back up) time.
+     * @param {number} [delayMs=0] Hold where we are this long before moving.
+     */
+    duckTo(level, timeMs, delayMs = 0) {
+        const context = this._ensureGraph();
+        const gain = this.ducker.gain;
+        const now = context.currentTime;
+        const startAt = now + Math.max(0, delayMs) / 1000;
+
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        if (timeMs > 0) {
+            // setTargetAtTime reaches ~95% after three time constants
+            gain.setTargetAtTime(level, startAt, timeMs / 1000 / 3);
+        } else {
+            gain.setValueAtTime(level, startAt);
+        }
+    }
+
+    /**
+     * Sends this player somewhere other than the master bus (or back to it).
+     * @param {string} deviceId '' for the master bus.
+     */
+    setOutputDevice(deviceId) {
+        this.outputDeviceId = deviceId || '';
+        if (this.output) {
+            this.output.disconnect();
+            masterBus.connect(this.output, this.outputDeviceId);
+        }
+    }
+
+    /**
+     * Changes the playback speed of every voice, keeping their position clocks in step.
+     * @param {number} playbackRate
+     */
+    setPlaybackRate(playbackRate) {
+        this.voices.forEach(voice => {
+            // Re-anchor the clock so progress stays correct across the rate change
+            voice.clock.offsetS = this._getVoiceTime(voice);
+            voice.clock.startedAt = this.output.context.currentTime;
+            voice.source.playbackRate.setValueAtTime(playbackRate, voice.clock.startedAt);
+        });
+        this.playbackRate = playbackRate;
+        this._updatePitchShifter();
+    }
+
+    /**
+     * @param {number} pan -1 (left) to 1 (right).
+     */
+    setPan(pan) {
+        this.tone.pan = pan;
+        if (this.panner) this.panner.pan.setTargetAtTime(pan, this.panner.context.currentTime, 0.015);
+    }
+
+    /**
+     * Sets the 3-band EQ. 0dB on every band is flat.
+     * @param {{ low?: number, mid?: number, high?: number }} gainsDb
+     */
+    setEq({ low = 0, mid = 0, high = 0 }) {
+        this.tone.eqLow = low;
+        this.tone.eqMid = mid;
+        this.tone.eqHigh = high;
+        if (this.eq) this._applyEq();
+    }
+
+    /**
+     * Keeps speed changes from changing the pitch (a time stretch rather than a tape speed-up).
+     * @param {boolean} enabled
+     */
+    setPreservePitch(enabled) {
+        this.tone.preservePitch = !!enabled;
+        if (this.output) this._updatePitchShifter();
+    }
+
+    /**
+     * @returns {number} The newest voice's position in its buffer, in seconds.
+     */
+    getCurrentTime() {
+        const newest = this.voices[this.voices.length - 1];
+        return newest ? this._getVoiceTime(newest) : 0;
+    }
 
     // --- Private Methods ---
 
@@ -90,61 +310,289 @@ export class AudioPlayer {
         }
     }
 
-    _setupListeners() {
-        this.audio.onplaying = () => {
-            this.isPlaying = true;
-            this.elements.cardElement.classList.add('hover-glow');
-            this._startMonitoring();
-            this._fireCallback('onPlay');
-        };
+    /**
+     * Builds this player's chain and routes it into the master bus, once.
+     * @returns {AudioContext}
+     */
+    _ensureGraph() {
+        const context = masterBus.getContext();
+        if (!this.output) {
+            this.input = context.createGain();
 
-        this.audio.onpause = () => { // Covers both manual stops and natural ends
-            if (this.isPlaying) {
-                this.isPlaying = false;
-                this._stopMonitoring();
-                this._resetUI();
-                this._fireCallback('onStop');
+            this.eq = {
+                low: new BiquadFilterNode(context, { type: 'lowshelf', frequency: EQ_LOW_HZ }),
+                mid: new BiquadFilterNode(context, { type: 'peaking', frequency: EQ_MID_HZ, Q: 0.8 }),
+                high: new BiquadFilterNode(context, { type: 'highshelf', frequency: EQ_HIGH_HZ })
+            };
+            this.panner = context.createStereoPanner();
+            this.ducker = context.createGain();
+            this.output = context.createGain();
+
+            this.input.connect(this.eq.low);
+            this.eq.low.connect(this.eq.mid);
+            this.eq.mid.connect(this.eq.high);
+            this.eq.high.connect(this.panner);
+            this.panner.connect(this.ducker);
+            this.ducker.connect(this.output);
+
+            this.output.gain.value = this.volume;
+            this.panner.pan.value = this.tone.pan;
+            this._applyEq();
+            masterBus.connect(this.output, this.outputDeviceId);
+        }
+        return context;
+    }
+
+    _applyEq() {
+        const now = this.eq.low.context.currentTime;
+        this.eq.low.gain.setTargetAtTime(this.tone.eqLow, now, 0.015);
+        this.eq.mid.gain.setTargetAtTime(this.tone.eqMid, now, 0.015);
+        this.eq.high.gain.setTargetAtTime(this.tone.eqHigh, now, 0.015);
+    }
+
+    /**
+     * Puts the pitch shifter in the chain when it's needed (preserving pitch at any speed
+     * other than 1x) and takes it out when it isn't, so normal playback stays untouched.
+     * If the browser can't run worklets we just play with the pitch change.
+     */
+    async _updatePitchShifter() {
+        if (!this.input) return;
+        const needed = this.tone.preservePitch && this.playbackRate !== 1;
+
+        if (needed && !this.pitchShifter) {
+            try {
+                await masterBus.loadWorklet(PITCH_SHIFTER_URL);
+            } catch (e) {
+                MSG.log('Pitch shifting is not available in this browser', 1, e);
+                return;
             }
-        };
+            // Things may have changed while the module loaded
+            if (this.pitchShifter || !this.input) return this._updatePitchShifter();
+            this.pitchShifter = new AudioWorkletNode(this.input.context, 'pitch-shifter', { outputChannelCount: [2] });
+            this.pitchShifter.connect(this.eq.low);
+        }
+
+        if (this.pitchShifter) {
+            // Undo exactly what the speed change did to the pitch
+            this.pitchShifter.parameters.get('pitchRatio').value = 1 / this.playbackRate;
+        }
+
+        const shifting = needed && !!this.pitchShifter;
+        if (shifting === this._isShifting) return;
+        this._isShifting = shifting;
+
+        this.input.disconnect();
+        this.input.connect(shifting ? this.pitchShifter : this.eq.low);
+    }
+
+    /**
+     * Creates a fresh voice for the buffer and starts it.
+     * (Buffer sources are single-use, so every play gets a new one.)
+     * @param {AudioBuffer} buffer
+     * @param {number} startS Trim in point, in seconds.
+     * @param {number} endS Trim out point, in seconds.
+     * @param {object} options The play() options (fades and flags).
+     * @param {object} [handover] Set when crossfading in from the previous voice.
+     * @param {number} handover.startAt Context time to start at.
+     * @param {number} handover.crossfadeS How long the fade in takes (0 = none, gapless).
+     */
+    _startVoice(buffer, startS, endS, options, handover = null) {
+        const context = this.output.context;
+        const now = handover?.startAt ?? context.currentTime;
+
+        const envelope = context.createGain();
+        const level = options.gain ?? 1;
+        const fadeInS = (options.fadeInMs ?? 0) / 1000;
+        if (handover) {
+            // Crossfades bring their own fade in, gapless hand-overs don't want one.
+            // (Nothing else may be scheduled inside a value curve, so that's all we set.)
+            if (handover.crossfadeS > 0) {
+                envelope.gain.setValueCurveAtTime(this._equalPowerCurve(0, level), now, handover.crossfadeS);
+            } else {
+                envelope.gain.value = level;
+            }
+        } else if (fadeInS > 0) {
+            envelope.gain.setValueAtTime(0, now);
+            envelope.gain.linearRampToValueAtTime(level, now + fadeInS);
+        } else {
+            envelope.gain.value = level;
+        }
+        envelope.connect(this.input);
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = this.playbackRate;
+        source.connect(envelope);
 
-        this.audio.onended = () => {
-            // note: onpause fires first 
-            // so we don't have to worry about state here
-            this._fireCallback('onEnded');
+        /** @type {Voice} */
+        const voice = {
+            source,
+            envelope,
+            clock: { startedAt: now, offsetS: startS },
+            window: { startS, endS },
+            monitor: {
+                flags: Object.entries(options.flags ?? {})
+                    .map(([name, offsetMs]) => ({ name, offsetS: offsetMs / 1000, hasFired: false })),
+                fadeOutS: (options.fadeOutMs ?? 0) / 1000,
+                hasStartedTailFade: false,
+            },
         };
+        source.onended = () => this._handleVoiceEnded(voice, true);
+
+        // start()'s duration is measured in buffer time, so playbackRate doesn't skew the out point
+        source.start(now, startS, endS - startS);
+
+        this.voices.push(voice);
+        if (this.elements.cardElement) this.elements.cardElement.classList.add('hover-glow');
+        if (!this.rafId) this._startMonitoring();
+        this._fireCallback('onPlay');
+    }
+
+    /**
+     * Hands over from the voices playing now to a new one that starts crossfadeMs before
+     * their out point. They fade out across the overlap and end quietly (not a natural
+     * end, so no onEnded: the new voice carries on).
+     * @param {number} crossfadeMs
+     * @returns {{ startAt: number, overlapS: number }} When the new voice should start, and how long the overlap really is.
+     */
+    _retireVoices(crossfadeMs) {
+        const now = this.output.context.currentTime;
+        const newest = this.voices[this.voices.length - 1];
+        const endAt = now + Math.max(0, (newest.window.endS - this._getVoiceTime(newest)) / this.playbackRate);
+        const startAt = Math.max(now, endAt - crossfadeMs / 1000);
+        const overlapS = crossfadeMs > 0 ? endAt - startAt : 0; // Short files get a shorter crossfade
+
+        this.voices.forEach(voice => {
+            voice.monitor.hasStartedTailFade = true; // The crossfade is the tail fade now
+            voice.source.onended = () => this._handleVoiceEnded(voice, false);
+            if (overlapS > 0) {
+                const gain = voice.envelope.gain;
+                gain.cancelScheduledValues(now);
+                // Hold the current level until the overlap (a value curve can't share its start time)
+                if (startAt > now) gain.setValueAtTime(gain.value, now);
+                gain.setValueCurveAtTime(this._equalPowerCurve(gain.value, 0), startAt, overlapS);
+            }
+        });
+
+        return { startAt, overlapS };
+    }
+
+    /**
+     * An equal-power fade, so a crossfade doesn't dip in the middle like a linear one does.
+     * @param {number} from
+     * @param {number} to
+     * @returns {Float32Array}
+     */
+    _equalPowerCurve(from, to) {
+        const curve = new Float32Array(64);
+        for (let i = 0; i < curve.length; i++) {
+            const t = i / (curve.length - 1);
+            curve[i] = from > to
+                ? from * Math.cos(t * Math.PI / 2)
+                : from + (to - from) * Math.sin(t * Math.PI / 2);
+        }
+        return curve;
+    }
+
+    /**
+     * Tears a voice down without telling anyone (used for stops and voice stealing).
+     * @param {Voice} voice
+     */
+    _removeVoice(voice) {
+        const index = this.voices.indexOf(voice);
+        if (index === -1) return;
+        this.voices.splice(index, 1);
+
+        voice.source.onended = null; // A manual stop is not a natural end
+        try {
+            voice.source.stop();
+        } catch (e) {
+            // Already stopped, nothing to do.
+        }
+        voice.source.disconnect();
+        voice.envelope.disconnect();
+    }
+
+    /**
+     * @param {Voice} voice
+     * @param {boolean} natural True if it played through to its out point.
+     */
+    _handleVoiceEnded(voice, natural) {
+        if (!this.voices.includes(voice)) return; // A stale voice we already removed
+        this._removeVoice(voice);
+
+        if (this.isPlaying) return; // Other voices are still going
+
+        // Same order the old <audio> element gave us: onStop first, then onEnded
+        this.isFading = false;
+        this._stopMonitoring();
+        this._resetUI();
+        this._fireCallback('onStop');
+        if (natural) this._fireCallback('onEnded');
+    }
+
+    /**
+     * @param {Voice} voice
+     * @returns {number} Where the voice is in its buffer, in seconds.
+     */
+    _getVoiceTime(voice) {
+        const elapsed = this.output.context.currentTime - voice.clock.startedAt;
+        return voice.clock.offsetS + elapsed * this.playbackRate;
     }
 
     _startMonitoring() {
         this._stopMonitoring(); // Ensure no previous loop is running
 
         const monitorLoop = () => {
-            if (this.audio.paused) {
+            if (!this.isPlaying) {
                 this._stopMonitoring();
                 return;
             }
 
-            const currentTime = this.audio.currentTime;
-            const duration = this.audio.duration;
-            const playbackRate = this.audio.playbackRate;
-
-            // This calculation is now resilient to playback speed changes.
-            // It checks the actual time left, not a pre-calculated value.
-            const remainingTime = (duration - currentTime) / playbackRate;
-            this._updateProgressUI(currentTime, duration);
-
-            // Check if the flag should be fired
-            if (!this._monitor.hasFiredFlag && this._monitor.flagOffsetS > 0) {
-                if (remainingTime <= this._monitor.flagOffsetS) {
-                    this._fireCallback('onFlagFired');
-                    this._monitor.hasFiredFlag = true;
-                }
-            }
-            
+            // The overlay follows the newest voice
+            const newest = this.voices[this.voices.length - 1];
+            const { startS, endS } = newest.window;
+            this._updateProgressUI(this._getVoiceTime(newest) - startS, endS - startS);
+
+            this.voices.forEach(voice => this._monitorVoice(voice));
+
             this.rafId = requestAnimationFrame(monitorLoop);
         };
         this.rafId = requestAnimationFrame(monitorLoop);
     }
-    
+
+    /**
+     * Tail fade and flag checks for a single voice.
+     * @param {Voice} voice
+     */
+    _monitorVoice(voice) {
+        const { monitor } = voice;
+
+        // This calculation is resilient to playback speed changes.
+        // It checks the actual time left, not a pre-calculated value.
+        const remainingTime = (voice.window.endS - this._getVoiceTime(voice)) / this.playbackRate;
+
+        // Start the tail fade so we reach silence right at the out point
+        if (!monitor.hasStartedTailFade && monitor.fadeOutS > 0 && remainingTime <= monitor.fadeOutS) {
+            monitor.hasStartedTailFade = true;
+            const gain = voice.envelope.gain;
+            const now = this.output.context.currentTime;
+            gain.cancelScheduledValues(now);
+            gain.setValueAtTime(gain.value, now);
+            gain.linearRampToValueAtTime(0, now + Math.max(0, remainingTime));
+        }
+
+        // Check if any flags should be fired. With several voices going,
+        // only the last one left gets to say we're nearly done.
+        if (this.voices.length !== 1) return;
+        monitor.flags.forEach(flag => {
+            if (!flag.hasFired && flag.offsetS > 0 && remainingTime <= flag.offsetS) {
+                flag.hasFired = true;
+                this._fireCallback('onFlagFired', flag.name);
+            }
+        });
+    }
+
     _stopMonitoring() {
         if (this.rafId) {
             cancelAnimationFrame(this.rafId);
@@ -154,7 +602,8 @@ export class AudioPlayer {
 
     _updateProgressUI(currentTime, duration) {
         if (this.elements.progressOverlay && duration > 0) {
-            const progress = (currentTime / duration) * 100;
+            // A voice queued up for a crossfade hasn't started yet, so it can be below 0
+            const progress = Math.max(0, Math.min(100, (currentTime / duration) * 100));
             this.elements.progressOverlay.style.width = `${progress}%`;
         }
     }
@@ -165,13 +614,18 @@ export class AudioPlayer {
     }
 
     /**
-     * Completely destroys the player, removing all event listeners to prevent memory leaks.
+     * Completely destroys the player, disconnecting it from the audio graph.
      */
     destroy() {
         this.stop();
-        // Nullify listeners to break circular references and prevent memory leaks
-        this.audio.onplaying = null;
-        this.audio.onpause = null;
-        this.audio.onended = null;
+        if (this.output) {
+            this.input.disconnect();
+            this.pitchShifter?.disconnect();
+            this.output.disconnect();
+            this.input = null;
+            this.pitchShifter = null;
+            this._isShifting = false;
+            this.output = null;
+        }
     }
-}
\ No newline at end of file
+}
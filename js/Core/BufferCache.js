@@ -0,0 +1,149 @@
+import { masterBus } from './MasterBus.js';
+import { MSG } from './MSG.js';
+
+/**
+ * Keeps decoded AudioBuffers around so a "Press" doesn't have to wait on
+ * decodeAudioData before the sound starts.
+ *
+ * Entries are keyed by card id + file index (see BufferCache.key) and evicted
+ * least-recently-used first once the decoded audio goes over the memory budget.
+ * Decoded PCM is big (~350KB per second of stereo 44.1k), so the budget matters.
+ */
+export class BufferCache {
+    constructor({ maxBytes = 384 * 1024 * 1024 } = {}) {
+        this.maxBytes = maxBytes;
+        this.totalBytes = 0;
+
+        /** @type {Map<string, { buffer: AudioBuffer, bytes: number }>} Insertion order doubles as LRU order. */
+        this.entries = new Map();
+        /** @type {Map<string, Promise<AudioBuffer>>} Decodes in flight, so we never decode the same file twice at once. */
+        this.pending = new Map();
+        /** @type {Map<string, number>} Bumped by evictCard, so warm jobs queued before it know they're stale. */
+        this.generations = new Map();
+
+        // Warming runs one decode at a time so a big board doesn't lock up the page on load.
+        this._warmQueue = Promise.resolve();
+    }
+
+    /**
+     * @param {string} cardId
+     * @param {number} fileIndex
+     * @returns {string}
+     */
+    static key(cardId, fileIndex) {
+        return `${cardId}:${fileIndex}`;
+    }
+
+    /**
+     * Returns a cached buffer (and marks it as recently used), or null.
+     * @param {string} key
+     * @returns {AudioBuffer | null}
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        // Re-insert to move it to the "most recently used" end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.buffer;
+    }
+
+    /**
+     * Gets the decoded buffer for a key, decoding (and caching) it if needed.
+     * @param {string} key
+     * @param {ArrayBuffer} arrayBuffer The encoded file data.
+     * @returns {Promise<AudioBuffer>}
+     */
+    load(key, arrayBuffer) {
+        const cached = this.get(key);
+        if (cached) return Promise.resolve(cached);
+
+        if (this.pending.has(key)) return this.pending.get(key);
+
+        // decodeAudioData detaches the buffer it's handed, so give it a copy
+        // and leave the card's stored file data intact.
+        const decode = masterBus.getDecodeContext().decodeAudioData(arrayBuffer.slice(0))
+            .then(buffer => {
+                // Only keep it if nobody invalidated the key while we were decoding
+                if (this.pending.get(key) === decode) {
+                    this._store(key, buffer);
+                }
+                return buffer;
+            })
+            .finally(() => {
+                if (this.pending.get(key) === decode) {
+                    this.pending.delete(key);
+                }
+            });
+
+        this.pending.set(key, decode);
+        return decode;
+    }
+
+    /**
+     * Queues background decodes for a card's files.
+     * @param {string} cardId
+     * @param {Array<{ arrayBuffer: ArrayBuffer }>} files
+     * @param {number[]} [indices] Only warm these file indices (defaults to all).
+     */
+    warm(cardId, files, indices = files.map((_, index) => index)) {
+        const generation = this.generations.get(cardId) || 0;
+
+        indices.forEach(index => {
+            const file = files[index];
+            if (!file || !file.arrayBuffer) return;
+
+            const key = BufferCache.key(cardId, index);
+            this._warmQueue = this._warmQueue
+                .then(() => {
+                    // The card's files changed (or it was deleted) since this was queued, so this
+                    // file may not be at this index anymore. Don't cache it under the wrong key.
+                    if ((this.generations.get(cardId) || 0) !== generation) return;
+                    return this.load(key, file.arrayBuffer);
+                })
+                .catch(e => MSG.log(`Could not pre-decode ${file.fileName}`, 1, e));
+        });
+    }
+
+    /**
+     * Drops every cached buffer for a card. Call this whenever its file list changes
+     * shape (indices shift on removal) or the card goes away.
+     * @param {string} cardId
+     */
+    evictCard(cardId) {
+        this.generations.set(cardId, (this.generations.get(cardId) || 0) + 1);
+
+        const prefix = `${cardId}:`;
+        for (const key of [...this.entries.keys()]) {
+            if (key.startsWith(prefix)) this._remove(key);
+        }
+        for (const key of [...this.pending.keys()]) {
+            if (key.startsWith(prefix)) this.pending.delete(key);
+        }
+    }
+
+    _store(key, buffer) {
+        const bytes = buffer.length * buffer.numberOfChannels * 4; // 32-bit float PCM
+        if (bytes > this.maxBytes) return; // Too big to ever fit, just play it uncached
+
+        this._remove(key);
+        this.entries.set(key, { buffer, bytes });
+        this.totalBytes += bytes;
+
+        // Evict least recently used entries until we're back under budget
+        for (const oldKey of this.entries.keys()) {
+            if (this.totalBytes <= this.maxBytes) break;
+            this._remove(oldKey);
+        }
+    }
+
+    _remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        this.entries.delete(key);
+        this.totalBytes -= entry.bytes;
+    }
+}
+
+export const bufferCache = new BufferCache();
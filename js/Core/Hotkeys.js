@@ -0,0 +1,95 @@
+/**
+ * Which key combo runs which command. Kept here (rather than in HotkeyManager) so the
+ * settings modals can read the bindings without a reference to the manager.
+ * HotkeyManager loads, saves and changes them.
+ *
+ * Combos are strings like "Ctrl+Shift+K", "1", "Num5" or "F2": modifiers in a fixed
+ * order, then the physical key (so Shift+1 is "Shift+1", not "Shift+!").
+ */
+class Hotkeys {
+    // Already spoken for: the panic keys (SoundboardController) and the command palette
+    static RESERVED = ['Escape', 'Shift+Escape', 'Ctrl+K', 'Meta+K'];
+
+    static MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+
+    // <input> types you actually type into
+    static TEXT_INPUT_TYPES = new Set(['text', 'search', 'email', 'url', 'tel', 'password', 'number', 'date', 'time', 'datetime-local', 'month', 'week']);
+
+    constructor() {
+        /** @type {Map<string, string>} combo -> command id */
+        this.bindings = new Map();
+    }
+
+    /**
+     * @param {Object<string, string>} bindings combo -> command id, as saved in the DB.
+     */
+    setBindings(bindings = {}) {
+        this.bindings = new Map(Object.entries(bindings));
+    }
+
+    /**
+     * @returns {Object<string, string>} combo -> command id, ready to save.
+     */
+    toJSON() {
+        return Object.fromEntries(this.bindings);
+    }
+
+    /**
+     * @param {string} commandId
+     * @returns {string | null}
+     */
+    getComboFor(commandId) {
+        for (const [combo, boundId] of this.bindings) {
+            if (boundId === commandId) return combo;
+        }
+        return null;
+    }
+
+    /**
+     * @returns {Object<string, string>} command id -> combo, for the settings modals.
+     */
+    getCombosByCommand() {
+        const byCommand = {};
+        for (const [combo, commandId] of this.bindings) byCommand[commandId] = combo;
+        return byCommand;
+    }
+
+    /**
+     * Turns a keydown into a combo string.
+     * @param {KeyboardEvent} e
+     * @returns {string | null} null for a modifier on its own.
+     */
+    comboFromEvent(e) {
+        if (Hotkeys.MODIFIER_KEYS.includes(e.key)) return null;
+
+        let key = e.code;
+        if (key.startsWith('Key')) key = key.slice(3); // KeyA -> A
+        else if (key.startsWith('Digit')) key = key.slice(5); // Digit1 -> 1
+        else if (key.startsWith('Numpad')) key = `Num${key.slice(6)}`; // Numpad1 -> Num1
+        else if (!key) key = e.key.length === 1 ? e.key.toUpperCase() : e.key; // Some virtual keyboards leave code empty
+
+        const modifiers = [];
+        if (e.ctrlKey) modifiers.push('Ctrl');
+        if (e.altKey) modifiers.push('Alt');
+        if (e.shiftKey) modifiers.push('Shift');
+        if (e.metaKey) modifiers.push('Meta');
+        return [...modifiers, key].join('+');
+    }
+
+    /**
+     * True when the keypress belongs to whatever the user is typing in
+     * (notepads, titles, modal fields), so it shouldn't run anything.
+     * @param {EventTarget} target
+     */
+    isTyping(target) {
+        if (!(target instanceof HTMLElement)) return false;
+        if (target.isContentEditable || target.closest('textarea, [contenteditable="true"]')) return true;
+
+        // Sliders, checkboxes etc. keep focus after a click but don't take text
+        const input = target.closest('input');
+        return !!input && Hotkeys.TEXT_INPUT_TYPES.has(input.type);
+    }
+}
+
+export const hotkeys = new Hotkeys();
+export { Hotkeys };
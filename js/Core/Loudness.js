@@ -0,0 +1,254 @@
+// ====================================================================
+// Loudness analysis (ITU-R BS.1770 / EBU R128, integrated loudness)
+// ====================================================================
+// Good enough to level files against each other. Not a certified meter.
+
+const BLOCK_S = 0.4; // Gating block length
+const STEP_S = 0.1; // 75% block overlap
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+const OVERSAMPLE = 4; // For the true-peak estimate
+
+/**
+ * Files shorter than one 400ms gating block (stingers, one-shots) are measured as a single
+ * ungated block over the whole file, so they still get levelled with everything else.
+ * @param {AudioBuffer} audioBuffer
+ * @returns {{ integratedLufs: number | null, truePeakDb: number | null }} null = silence (or an empty file).
+ */
+export function measureLoudness(audioBuffer) {
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        channels.push(audioBuffer.getChannelData(c));
+    }
+
+    return {
+        integratedLufs: _integratedLoudness(channels, audioBuffer.sampleRate),
+        truePeakDb: _truePeak(channels)
+    };
+}
+
+/**
+ * How much to turn a file up or down to hit a target, without pushing its
+ * true peak over the ceiling.
+ * @param {{ integratedLufs?: number | null, truePeakDb?: number | null }} file
+ * @param {number | null} targetLufs null = normalization is off.
+ * @param {number} [ceilingDb=-1]
+ * @returns {number} A linear gain (1 = leave it alone).
+ */
+export function getNormalizationGain(file, targetLufs, ceilingDb = -1) {
+    if (targetLufs == null || file.integratedLufs == null) return 1;
+
+    let gainDb = targetLufs - file.integratedLufs;
+    if (file.truePeakDb != null) {
+        gainDb = Math.min(gainDb, ceilingDb - file.truePeakDb);
+    }
+    return Math.pow(10, gainDb / 20);
+}
+
+// --- Private helpers ---
+
+function _integratedLoudness(channels, sampleRate) {
+    const stepLength = Math.round(STEP_S * sampleRate);
+    const stepsPerBlock = Math.round(BLOCK_S / STEP_S);
+    const blockLength = stepLength * stepsPerBlock;
+    const weights = _channelWeights(channels.length);
+
+    // K-weight each channel and sum its energy in 100ms steps.
+    // A 400ms block is then just four neighbouring steps added together.
+    const stepCount = Math.floor(channels[0].length / stepLength);
+    if (stepCount < stepsPerBlock) return _shortFileLoudness(channels, sampleRate, weights);
+
+    const stepEnergy = new Float64Array(stepCount);
+    channels.forEach((samples, c) => {
+        if (weights[c] === 0) return;
+        const filtered = _kWeight(samples, sampleRate);
+        for (let s = 0; s < stepCount; s++) {
+            let sum = 0;
+            for (let i = s * stepLength, end = i + stepLength; i < end; i++) {
+                sum += filtered[i] * filtered[i];
+            }
+            stepEnergy[s] += sum * weights[c];
+        }
+    });
+
+    const blocks = [];
+    for (let s = 0; s + stepsPerBlock <= stepCount; s++) {
+        let sum = 0;
+        for (let k = 0; k < stepsPerBlock; k++) sum += stepEnergy[s + k];
+        blocks.push(sum / blockLength);
+    }
+
+    const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+    const aboveAbsolute = blocks.filter(z => z > 0 && _toLufs(z) > ABSOLUTE_GATE_LUFS);
+    if (aboveAbsolute.length === 0) return null; // Silence
+
+    const relativeGate = _toLufs(mean(aboveAbsolute)) + RELATIVE_GATE_LU;
+    const gated = aboveAbsolute.filter(z => _toLufs(z) > relativeGate);
+
+    return _toLufs(mean(gated));
+}
+
+/**
+ * Too short to gate, so the whole file is one K-weighted block.
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @param {number[]} weights
+ * @returns {number | null} null = silence (or no samples at all).
+ */
+function _shortFileLoudness(channels, sampleRate, weights) {
+    const length = channels[0].length;
+    if (length === 0) return null;
+
+    let energy = 0;
+    channels.forEach((samples, c) => {
+        if (weights[c] === 0) return;
+        const filtered = _kWeight(samples, sampleRate);
+        let sum = 0;
+        for (let i = 0; i < length; i++) sum += filtered[i] * filtered[i];
+        energy += sum * weights[c];
+    });
+
+    const meanSquare = energy / length;
+    if (meanSquare <= 0 || _toLufs(meanSquare) <= ABSOLUTE_GATE_LUFS) return null; // Silence
+    return _toLufs(meanSquare);
+}
+
+function _toLufs(meanSquare) {
+    return -0.691 + 10 * Math.log10(meanSquare);
+}
+
+/**
+ * Surround channels count a bit extra and the LFE not at all (5.1 in the usual L R C LFE Ls Rs order).
+ * @param {number} channelCount
+ */
+function _channelWeights(channelCount) {
+    if (channelCount === 6) return [1, 1, 1, 0, 1.41, 1.41];
+    return new Array(channelCount).fill(1);
+}
+
+/**
+ * The BS.1770 "K" filter: a high shelf (head effects) then a high pass (RLB curve).
+ * Coefficients are worked out for the file's own sample rate.
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {Float32Array}
+ */
+function _kWeight(samples, sampleRate) {
+    // Stage 1: high shelf
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+        b0: (Vh + Vb * K / Q + K * K) / a0,
+        b1: 2 * (K * K - Vh) / a0,
+        b2: (Vh - Vb * K / Q + K * K) / a0,
+        a1: 2 * (K * K - 1) / a0,
+        a2: (1 - K / Q + K * K) / a0
+    };
+
+    // Stage 2: high pass
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highPass = {
+        b0: 1,
+        b1: -2,
+        b2: 1,
+        a1: 2 * (K * K - 1) / a0,
+        a2: (1 - K / Q + K * K) / a0
+    };
+
+    return _biquad(_biquad(samples, shelf), highPass);
+}
+
+function _biquad(input, { b0, b1, b2, a1, a2 }) {
+    const output = new Float32Array(input.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < input.length; i++) {
+        const x0 = input[i];
+        const y0 = b0 * x0 + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+        output[i] = y0;
+        x2 = x1; x1 = x0;
+        y2 = y1; y1 = y0;
+    }
+    return output;
+}
+
+/**
+ * Estimates the true (inter-sample) peak by 4x oversampling with a windowed-sinc
+ * interpolator. To keep it fast, we only oversample either side of loud local maxima:
+ * that's where the waveform crests between samples, and a crest more than 3dB over
+ * every nearby sample basically doesn't happen in real audio.
+ * @param {Float32Array[]} channels
+ * @returns {number | null} dBTP, or null for silence.
+ */
+function _truePeak(channels) {
+    let samplePeak = 0;
+    channels.forEach(samples => {
+        for (let i = 0; i < samples.length; i++) {
+            const v = Math.abs(samples[i]);
+            if (v > samplePeak) samplePeak = v;
+        }
+    });
+    if (samplePeak === 0) return null;
+
+    const taps = _interpolationTaps();
+    const halfTaps = taps[0].length / 2;
+    const threshold = samplePeak * Math.SQRT1_2; // -3dB
+    let peak = samplePeak;
+
+    const interpolatePeak = (samples, n) => {
+        for (let phase = 1; phase < OVERSAMPLE; phase++) {
+            const phaseTaps = taps[phase];
+            let v = 0;
+            for (let t = 0; t < phaseTaps.length; t++) {
+                v += samples[n - halfTaps + 1 + t] * phaseTaps[t];
+            }
+            v = Math.abs(v);
+            if (v > peak) peak = v;
+        }
+    };
+
+    channels.forEach(samples => {
+        for (let n = halfTaps + 1; n < samples.length - halfTaps; n++) {
+            const v = Math.abs(samples[n]);
+            if (v < threshold || v < Math.abs(samples[n - 1]) || v < Math.abs(samples[n + 1])) continue;
+
+            // The crest is somewhere between the neighbours on either side
+            interpolatePeak(samples, n - 1);
+            interpolatePeak(samples, n);
+        }
+    });
+
+    return 20 * Math.log10(peak);
+}
+
+let _cachedTaps = null;
+
+/**
+ * Polyphase taps for the interpolator: taps[phase][t] weights sample (n - half + 1 + t)
+ * to estimate the signal at n + phase / OVERSAMPLE.
+ * @returns {Float64Array[]}
+ */
+function _interpolationTaps() {
+    if (_cachedTaps) return _cachedTaps;
+
+    const tapsPerPhase = 12;
+    const half = tapsPerPhase / 2;
+    _cachedTaps = [];
+    for (let phase = 0; phase < OVERSAMPLE; phase++) {
+        const frac = phase / OVERSAMPLE;
+        const phaseTaps = new Float64Array(tapsPerPhase);
+        for (let t = 0; t < tapsPerPhase; t++) {
+            const x = (t - half + 1) - frac; // Distance from the point being estimated, in samples
+            const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+            const window = 0.5 * (1 + Math.cos(Math.PI * x / (half + 1))); // Hann
+            phaseTaps[t] = sinc * window;
+        }
+        _cachedTaps.push(phaseTaps);
+    }
+    return _cachedTaps;
+}
@@ -13,12 +13,21 @@ export class EventManager {
             STATE_CHANGED: 'state:changed',
             LAYOUT_CHANGED: 'layout:changed',
             CARDS_CHANGED: 'cards:changed', // For when card data itself changes
+            COMMANDS_CHANGED: 'commands:changed', // The command bus list was rebuilt (data = every command)
+            HOTKEYS_CHANGED: 'hotkeys:changed',
             REARRANGE_MODE_CHANGED: 'rearrange:changed', // for toggling rearrange mode
             SOUNDBOARD_DELETED_CARD: 'soundboard:deletedCard', // Legacy, but useful
 
             // Sound-specific events
             SOUNDCARD_PRIORITY_STARTED: 'soundcard:priorityStarted',
             SOUNDCARD_PRIORITY_ENDED: 'soundcard:priorityEnded',
+            SOUNDCARD_CHOKE: 'soundcard:choke',
+
+            // A recording was saved or deleted
+            RECORDINGS_CHANGED: 'recordings:changed',
+
+            // Something was played/stopped/started/run, for the as-run log
+            AS_RUN_ENTRY: 'asrun:entry',
         };
 
         this.ACTIONS = {
@@ -34,6 +43,9 @@ export class EventManager {
             // CARD DATA ACTIONS
             REQUEST_UPDATE_CARD_DATA: 'request:updateCardData',
             REQUEST_REGISTER_COMMANDS: 'request:registerCommands',
+            REQUEST_RUN_COMMAND: 'request:runCommand', // The user ran a command directly ({ commandId, via })
+            REQUEST_SET_HOTKEY: 'request:setHotkey', // { commandId, combo } (combo null = remove)
+            REQUEST_SAVE_SHUFFLE_BAG: 'request:saveShuffleBag', // { cardId, bag } saved without rewriting the card
 
             // BOARD ACTIONS
             REQUEST_SWITCH_BOARD: 'request:switchBoard',
@@ -45,6 +57,16 @@ export class EventManager {
             REQUEST_OPEN_MANAGE_BOARDS: 'request:openManageBoards',
             REQUEST_TOGGLE_REARRANGE_MODE: 'request:toggleRearrangeMode',
             REQUEST_OPEN_THEME_MANAGER: 'request:openThemeManager',
+            REQUEST_OPEN_HOTKEYS: 'request:openHotkeys',
+
+            // PLAYBACK ACTIONS (board-wide)
+            REQUEST_STOP_ALL: 'request:stopAll',
+            REQUEST_FADE_ALL: 'request:fadeAll',
+
+            // RECORDING ACTIONS
+            REQUEST_START_RECORDING: 'request:startRecording',
+            REQUEST_STOP_RECORDING: 'request:stopRecording',
+            REQUEST_TOGGLE_RECORDING: 'request:toggleRecording',
 
             // MIGRATION ACTIONS
             MIGRATION_NEEDED_CARD: 'state:migrationNeededCard',
@@ -0,0 +1,368 @@
+import { MSG } from './MSG.js';
+
+/**
+ * Owns the single AudioContext for the whole app and the master bus that every
+ * AudioPlayer routes its output into.
+ *
+ * The context is created lazily: browsers won't let an AudioContext start before
+ * the first user gesture, and cards (including the dock stickers) build their
+ * players long before anyone clicks anything.
+ *
+ * It also knows how to get sound out of a specific output device. The board output
+ * uses AudioContext.setSinkId where the browser has it. Anything routed somewhere
+ * else (a card override, the cue/preview output) goes through a MediaStream into an
+ * <audio> element that has its own sink. If none of that is supported we just play
+ * through the default output.
+ *
+ * The board output chain is: input -> master volume -> (limiter) -> output, with a pair
+ * of analysers hanging off the output for the dock meters. Card overrides and the
+ * cue output are separate devices and skip all of that.
+ */
+class MasterBus {
+    constructor() {
+        /** @type {AudioContext | null} */
+        this.context = null;
+        /** @type {GainNode | null} The node all card outputs connect to. */
+        this.input = null;
+        /** @type {GainNode | null} Master volume. */
+        this.volumeNode = null;
+        /** @type {DynamicsCompressorNode | null} */
+        this.limiter = null;
+        /** @type {GainNode | null} The end of the chain, what actually goes to the device. */
+        this.output = null;
+        /** @type {AnalyserNode[]} One per channel (L, R). */
+        this.analysers = [];
+        this._meterSplitter = null;
+        /** @type {Float32Array[]} Scratch space for getLevels(). */
+        this._meterBuffers = [];
+
+        this.volume = 1;
+        this.limiterEnabled = false;
+
+        this.outputDeviceId = ''; // The board output ('' = system default)
+        this.cueDeviceId = ''; // Where previews go ('' = same as the board output)
+        this.targetLufs = null; // Loudness every file gets leveled to (null = leave files alone)
+
+        /** @type {{ deviceId: string, label: string }[]} Last known output devices, for settings menus. */
+        this.outputDevices = [];
+
+        /** @type {OfflineAudioContext | null} Decodes files until the real context exists, see getDecodeContext(). */
+        this._decodeContext = null;
+
+        /** @type {Map<string, Promise<void>>} AudioWorklet modules, loading or loaded, by URL. */
+        this._worklets = new Map();
+
+        /** @type {Map<string, { input: GainNode, element: HTMLAudioElement }>} Device routes, by device id. */
+        this._routes = new Map();
+    }
+
+    /**
+     * True if this browser can send audio anywhere other than the default output.
+     * @returns {boolean}
+     */
+    get canSelectOutput() {
+        return typeof AudioContext !== 'undefined' && 'setSinkId' in AudioContext.prototype
+            || typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype;
+    }
+
+    /**
+     * Returns the shared AudioContext, building the master chain on first use.
+     * @returns {AudioContext}
+     */
+    getContext() {
+        if (!this.context) {
+            //@ts-ignore webkitAudioContext for older Safari
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.context = new AudioContextClass();
+
+            this._buildChain();
+            this._connectBoardOutput();
+        }
+        return this.context;
+    }
+
+    /**
+     * Something to decode files with that doesn't create the real context before the first gesture
+     * (cards warm their buffers and analyze files on load). Once the real context exists we use it,
+     * so buffers come out at its sample rate. The source node resamples anything decoded before that.
+     * @returns {BaseAudioContext}
+     */
+    getDecodeContext() {
+        if (this.context) return this.context;
+        if (!this._decodeContext) {
+            //@ts-ignore webkitOfflineAudioContext for older Safari
+            const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+            this._decodeContext = new OfflineContextClass(1, 1, 44100);
+        }
+        return this._decodeContext;
+    }
+
+    /**
+     * Loads an AudioWorklet module into the context, once. Rejects if the
+     * browser (or an insecure page) doesn't support worklets.
+     * @param {URL | string} url
+     * @returns {Promise<void>}
+     */
+    loadWorklet(url) {
+        const key = String(url);
+        if (!this._worklets.has(key)) {
+            const context = this.getContext();
+            this._worklets.set(key, context.audioWorklet
+                ? context.audioWorklet.addModule(key)
+                : Promise.reject(new Error('AudioWorklet is not supported')));
+        }
+        return this._worklets.get(key);
+    }
+
+    /**
+     * Resumes the context if the browser suspended it (autoplay policy, tab sleep...).
+     * Safe to call on every play.
+     */
+    async resume() {
+        const context = this.getContext();
+        if (context.state === 'suspended') {
+            await context.resume();
+        }
+
+        // Route elements may have been refused playback before the first gesture
+        this._routes.forEach(route => {
+            if (route.element.paused) route.element.play().catch(() => { });
+        });
+    }
+
+    /**
+     * Routes a node into the master bus, or to a specific output device.
+     * @param {AudioNode} node
+     * @param {string} [deviceId=''] '' (or the board's own device) means the master bus.
+     */
+    connect(node, deviceId = '') {
+        this.getContext();
+        if (!deviceId || deviceId === this.outputDeviceId || !this.canSelectOutput) {
+            node.connect(this.input);
+            return;
+        }
+        node.connect(this._getRoute(deviceId).input);
+    }
+
+    /**
+     * Sends the board output to a device. Takes effect immediately if audio is already running.
+     * @param {string} deviceId '' for the system default.
+     */
+    async setOutputDevice(deviceId) {
+        this.outputDeviceId = deviceId || '';
+        if (this.context) await this._connectBoardOutput();
+    }
+
+    /**
+     * @param {string} deviceId '' to preview through the board output.
+     */
+    setCueDevice(deviceId) {
+        this.cueDeviceId = deviceId || '';
+    }
+
+    /**
+     * @param {number | null} targetLufs null turns normalization off. Applies from the next play.
+     */
+    setTargetLoudness(targetLufs) {
+        this.targetLufs = targetLufs;
+    }
+
+    /**
+     * @param {number} volume 0-1, ramped quickly so moving the slider doesn't click.
+     */
+    setVolume(volume) {
+        this.volume = volume;
+        if (this.volumeNode) {
+            this.volumeNode.gain.setTargetAtTime(volume, this.context.currentTime, 0.015);
+        }
+    }
+
+    /**
+     * Turns the brickwall limiter on the board output on or off.
+     * @param {boolean} enabled
+     */
+    setLimiterEnabled(enabled) {
+        this.limiterEnabled = !!enabled;
+        if (this.context) this._connectLimiter();
+    }
+
+    /**
+     * Current levels of the board output, for the meters. Peak is the loudest sample
+     * in the last ~40ms, RMS the average power over the same window.
+     * @returns {{ peakDb: number[], rmsDb: number[], reductionDb: number } | null} null before audio has started.
+     */
+    getLevels() {
+        if (!this.context) return null;
+
+        const toDb = (v) => v > 0 ? 20 * Math.log10(v) : -Infinity;
+        const peakDb = [];
+        const rmsDb = [];
+        this.analysers.forEach((analyser, i) => {
+            const samples = this._meterBuffers[i];
+            analyser.getFloatTimeDomainData(samples);
+            let peak = 0;
+            let sum = 0;
+            for (let n = 0; n < samples.length; n++) {
+                const v = Math.abs(samples[n]);
+                if (v > peak) peak = v;
+                sum += v * v;
+            }
+            peakDb.push(toDb(peak));
+            rmsDb.push(toDb(Math.sqrt(sum / samples.length)));
+        });
+
+        return {
+            peakDb,
+            rmsDb,
+            reductionDb: this.limiterEnabled ? this.limiter.reduction : 0
+        };
+    }
+
+    /**
+     * Refreshes the list of output devices. Labels are blank until the page has been
+     * given microphone permission (browser privacy rule), so those get a generic name.
+     * @returns {Promise<{ deviceId: string, label: string }[]>}
+     */
+    async refreshOutputDevices() {
+        if (!navigator.mediaDevices?.enumerateDevices) return this.outputDevices;
+
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            this.outputDevices = devices
+                .filter(device => device.kind === 'audiooutput' && device.deviceId && device.deviceId !== 'default')
+                .map((device, index) => ({
+                    deviceId: device.deviceId,
+                    label: device.label || `Output ${index + 1}`
+                }));
+        } catch (e) {
+            MSG.log('Could not list audio output devices', 1, e);
+        }
+        return this.outputDevices;
+    }
+
+    /**
+     * Device choices for a settings menu. A saved device that isn't connected right now
+     * still gets listed, so opening the menu doesn't silently lose the setting.
+     * @param {string} [savedDeviceId]
+     * @returns {{ label: string, value: string }[]}
+     */
+    getDeviceOptions(savedDeviceId = '') {
+        const options = this.outputDevices.map(device => ({ label: device.label, value: device.deviceId }));
+        if (savedDeviceId && !options.some(opt => opt.value === savedDeviceId)) {
+            options.push({ label: 'Unavailable Device', value: savedDeviceId });
+        }
+        return options;
+    }
+
+    // --- Private Methods ---
+
+    _buildChain() {
+        const context = this.context;
+        this.input = context.createGain();
+        this.volumeNode = context.createGain();
+        this.volumeNode.gain.value = this.volume;
+        this.output = context.createGain();
+        // Always stereo, so a mono file shows up on both meters
+        this.output.channelCount = 2;
+        this.output.channelCountMode = 'explicit';
+
+        // A compressor pushed to its limits: instant attack, no knee, 20:1 above -1dB.
+        // With the built-in lookahead that's about as brickwall as Web Audio gets.
+        this.limiter = context.createDynamicsCompressor();
+        this.limiter.threshold.value = -1;
+        this.limiter.knee.value = 0;
+        this.limiter.ratio.value = 20;
+        this.limiter.attack.value = 0;
+        this.limiter.release.value = 0.1;
+
+        this.input.connect(this.volumeNode);
+        this._connectLimiter();
+
+        // Meters tap the output (post limiter), so they show what's actually going out
+        this._meterSplitter = context.createChannelSplitter(2);
+        this.analysers = [0, 1].map(channel => {
+            const analyser = context.createAnalyser();
+            analyser.fftSize = 2048;
+            this._meterSplitter.connect(analyser, channel);
+            return analyser;
+        });
+        this._meterBuffers = this.analysers.map(analyser => new Float32Array(analyser.fftSize));
+    }
+
+    _connectLimiter() {
+        this.volumeNode.disconnect();
+        this.limiter.disconnect();
+        if (this.limiterEnabled) {
+            this.volumeNode.connect(this.limiter);
+            this.limiter.connect(this.output);
+        } else {
+            this.volumeNode.connect(this.output);
+        }
+    }
+
+    async _connectBoardOutput() {
+        const context = this.context;
+        const deviceId = this.outputDeviceId;
+        this.output.disconnect();
+        // The splitter for the meters hangs off the output too
+        this.output.connect(this._meterSplitter);
+
+        // Best case: the context itself can switch devices
+        //@ts-ignore setSinkId isn't in every lib.dom yet
+        if (typeof context.setSinkId === 'function') {
+            this.output.connect(context.destination);
+            try {
+                //@ts-ignore
+                await context.setSinkId(deviceId);
+            } catch (e) {
+                MSG.log(`Output device unavailable, using the default output`, 1, e);
+                //@ts-ignore
+                await context.setSinkId('').catch(() => { });
+            }
+            return;
+        }
+
+        // Otherwise go through an <audio> element if we can, or give up gracefully
+        if (deviceId && this.canSelectOutput) {
+            this.output.connect(this._getRoute(deviceId).input);
+        } else {
+            if (deviceId) MSG.log(`This browser can't choose an output device, using the default output`, 1);
+            this.output.connect(context.destination);
+        }
+    }
+
+    /**
+     * Gets (or builds) the path out to a specific device:
+     * GainNode -> MediaStreamDestination -> <audio> element with setSinkId.
+     * @param {string} deviceId
+     */
+    _getRoute(deviceId) {
+        let route = this._routes.get(deviceId);
+        if (route) return route;
+
+        const context = this.getContext();
+        const input = context.createGain();
+        const streamDestination = context.createMediaStreamDestination();
+        input.connect(streamDestination);
+
+        const element = new Audio();
+        element.srcObject = streamDestination.stream;
+
+        route = { input, element };
+        this._routes.set(deviceId, route);
+
+        //@ts-ignore setSinkId isn't in every lib.dom yet
+        element.setSinkId(deviceId).then(
+            () => element.play().catch(() => { }), // Before the first gesture this fails; resume() retries
+            e => {
+                // Device missing (unplugged, no permission...): fall back to the default output
+                MSG.log(`Output device unavailable, using the default output`, 1, e);
+                input.disconnect();
+                input.connect(context.destination);
+            });
+
+        return route;
+    }
+}
+
+export const masterBus = new MasterBus();
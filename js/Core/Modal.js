@@ -1,4 +1,5 @@
 import { debounce } from '../Core/helper-functions.js';
+import { hotkeys } from './Hotkeys.js';
 // we shoudl do debouncing here
 
 
@@ -83,6 +84,21 @@ export class Modal {
                 return input;
             }
 
+            case 'time': {
+                // Wall clock time, the value is "HH:MM" or "HH:MM:SS" (step: 1 to get seconds)
+                container.className = 'select-group';
+                const label = document.createElement('label');
+                label.textContent = control.label;
+                const input = document.createElement('input');
+                input.type = 'time';
+                input.dataset.key = control.key;
+                if (control.step) input.step = control.step;
+                input.value = value || '';
+                container.appendChild(label);
+                container.appendChild(input);
+                return container;
+            }
+
             case 'checkbox': {
                 const label = document.createElement('label');
                 const input = document.createElement('input');
@@ -198,15 +214,248 @@ export class Modal {
                             button.dataset.itemIndex = index; // Critical for identifying which item was clicked
                             li.appendChild(button);
                         });
+
+                        // Optional per-item waveform, e.g. { key: 'waveform', durationKey: 'durationMs', action: 'audition' }
+                        if (control.itemWaveform && item[control.itemWaveform.key]) {
+                            li.classList.add('has-waveform');
+                            li.appendChild(this._createWaveform({ ...control.itemWaveform, itemIndex: index }, item));
+                        }
                         listContainer.appendChild(li);
                     });
                 }
                 return listContainer;
             }
+
+            case 'hotkey': {
+                // Reads data.hotkeys (command id -> combo). See _captureHotkey.
+                container.className = 'hotkey-group';
+                const label = document.createElement('label');
+                label.textContent = control.label;
+                const button = document.createElement('button');
+                button.className = 'hotkey-capture';
+                button.textContent = this.data.hotkeys?.[control.commandId] || 'None';
+                button.title = 'Click, then press a key or combo. Backspace removes it, Esc cancels.';
+                button.addEventListener('click', () => this._captureHotkey(button, control));
+                container.appendChild(label);
+                container.appendChild(button);
+                return container;
+            }
+
+            case 'waveform': {
+                if (!Array.isArray(value) || value.length === 0) {
+                    container.innerHTML = `<small>${control.emptyMessage || 'No waveform yet.'}</small>`;
+                    return container;
+                }
+                return this._createWaveform(control, this.data);
+            }
         }
         return null;
     }
 
+    /**
+     * Builds a waveform display. Clicking it fires a 'modal-action' with the time clicked
+     * (detail.timeMs), and with `editable` set, two handles can be dragged to pick a
+     * start/end, firing 'modal-input' for startKey/endKey in milliseconds.
+     *
+     * Control options (all keys are looked up on `source`):
+     * - key: the peaks array (numbers 0-1)
+     * - durationKey: total length in ms
+     * - startKey / endKey: the selected region in ms (null end = the very end)
+     * - markersKey: optional list of { timeMs, label } drawn as ticks
+     * - action / itemIndex: what to send on click
+     * - editable: show draggable handles for the region
+     * @param {object} control
+     * @param {object} source The object holding the values (modal data, or a list item).
+     * @returns {HTMLElement}
+     */
+    _createWaveform(control, source) {
+        const peaks = source[control.key] || [];
+        const durationMs = source[control.durationKey] || 0;
+        const region = {
+            startMs: control.startKey ? (source[control.startKey] ?? 0) : 0,
+            endMs: control.endKey ? (source[control.endKey] ?? durationMs) : durationMs,
+        };
+
+        const container = document.createElement('div');
+        container.className = 'waveform-control' + (control.editable ? ' editable' : '');
+
+        const canvas = document.createElement('canvas');
+        container.appendChild(canvas);
+
+        const shadeBefore = document.createElement('div');
+        const shadeAfter = document.createElement('div');
+        shadeBefore.className = shadeAfter.className = 'waveform-shade';
+        container.append(shadeBefore, shadeAfter);
+
+        (source[control.markersKey] || []).forEach(marker => {
+            const tick = document.createElement('div');
+            tick.className = 'waveform-marker';
+            tick.title = marker.label || marker.name || '';
+            tick.style.left = `${durationMs ? (marker.timeMs / durationMs) * 100 : 0}%`;
+            container.appendChild(tick);
+        });
+
+        const handles = {};
+        if (control.editable) {
+            ['start', 'end'].forEach(side => {
+                const handle = document.createElement('div');
+                handle.className = `waveform-handle waveform-handle-${side}`;
+                handle.dataset.side = side;
+                container.appendChild(handle);
+                handles[side] = handle;
+            });
+        }
+
+        const toPercent = (ms) => durationMs ? Math.min(100, Math.max(0, (ms / durationMs) * 100)) : 0;
+        const placeRegion = () => {
+            shadeBefore.style.left = '0';
+            shadeBefore.style.width = `${toPercent(region.startMs)}%`;
+            shadeAfter.style.left = `${toPercent(region.endMs)}%`;
+            shadeAfter.style.right = '0';
+            if (handles.start) handles.start.style.left = `${toPercent(region.startMs)}%`;
+            if (handles.end) handles.end.style.left = `${toPercent(region.endMs)}%`;
+        };
+        placeRegion();
+
+        const timeAt = (clientX) => {
+            const rect = container.getBoundingClientRect();
+            const fraction = rect.width ? (clientX - rect.left) / rect.width : 0;
+            return Math.round(Math.min(1, Math.max(0, fraction)) * durationMs);
+        };
+
+        // Dragging a handle
+        let dragging = null;
+        let suppressClick = false; // The click that ends a drag isn't an audition
+        container.addEventListener('pointerdown', (e) => {
+            //@ts-ignore
+            const side = e.target.dataset?.side;
+            suppressClick = false;
+            if (!side) return;
+            dragging = side;
+            container.setPointerCapture(e.pointerId);
+            e.preventDefault();
+        });
+        container.addEventListener('pointermove', (e) => {
+            if (!dragging) return;
+            const minGapMs = 10;
+            const timeMs = timeAt(e.clientX);
+            if (dragging === 'start') {
+                region.startMs = Math.min(timeMs, region.endMs - minGapMs);
+            } else {
+                region.endMs = Math.max(timeMs, region.startMs + minGapMs);
+            }
+            placeRegion();
+
+            const key = dragging === 'start' ? control.startKey : control.endKey;
+            container.dispatchEvent(new CustomEvent('modal-input', {
+                bubbles: true,
+                composed: true,
+                detail: { key, value: dragging === 'start' ? region.startMs : region.endMs }
+            }));
+        });
+        const endDrag = () => {
+            if (dragging) suppressClick = true;
+            dragging = null;
+        };
+        container.addEventListener('pointerup', endDrag);
+        container.addEventListener('pointercancel', endDrag);
+
+        // Clicking anywhere else on the waveform
+        container.addEventListener('click', (e) => {
+            if (suppressClick) {
+                suppressClick = false;
+                return;
+            }
+            //@ts-ignore
+            if (!control.action || e.target.dataset?.side) return;
+            container.dispatchEvent(new CustomEvent('modal-action', {
+                bubbles: true,
+                composed: true,
+                detail: { action: control.action, itemIndex: control.itemIndex, timeMs: timeAt(e.clientX) }
+            }));
+        });
+
+        // Draw once we're in the document and have a real size
+        requestAnimationFrame(() => this._drawWaveform(canvas, peaks));
+        return container;
+    }
+
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {number[]} peaks
+     */
+    _drawWaveform(canvas, peaks) {
+        const dpr = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (!width || !height) return;
+
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(dpr, dpr);
+        ctx.fillStyle = getComputedStyle(canvas).color;
+
+        const middle = height / 2;
+        for (let x = 0; x < width; x++) {
+            // Take the loudest peak under this pixel so short transients don't vanish
+            const from = Math.floor((x / width) * peaks.length);
+            const to = Math.max(from + 1, Math.floor(((x + 1) / width) * peaks.length));
+            let peak = 0;
+            for (let i = from; i < to; i++) peak = Math.max(peak, peaks[i] || 0);
+
+            const barHeight = Math.max(1, peak * height);
+            ctx.fillRect(x, middle - barHeight / 2, 1, barHeight);
+        }
+    }
+
+    /**
+     * Waits for the next key combo and fires a 'modal-action' with detail
+     * { action: 'set-hotkey', commandId, combo } (combo null = remove it).
+     * Whoever handles that decides whether it sticks, then rebuilds us.
+     * @param {HTMLButtonElement} button
+     * @param {object} control
+     */
+    _captureHotkey(button, control) {
+        const previousText = button.textContent;
+        button.textContent = 'Press a key...';
+        button.classList.add('capturing');
+
+        const finish = () => {
+            window.removeEventListener('keydown', onKeyDown, true);
+            button.removeEventListener('blur', cancel);
+            button.classList.remove('capturing');
+        };
+        const cancel = () => {
+            finish();
+            button.textContent = previousText;
+        };
+        const onKeyDown = (e) => {
+            // Capture phase on window, so nothing else (panic keys, other hotkeys) sees this press
+            e.preventDefault();
+            e.stopImmediatePropagation();
+
+            const combo = hotkeys.comboFromEvent(e);
+            if (!combo) return; // Just a modifier so far, keep waiting
+            if (combo === 'Escape') return cancel();
+
+            finish();
+            button.textContent = previousText;
+            this.modalElement.dispatchEvent(new CustomEvent('modal-action', {
+                bubbles: true,
+                composed: true,
+                detail: {
+                    action: control.action || 'set-hotkey',
+                    commandId: control.commandId,
+                    combo: (combo === 'Backspace' || combo === 'Delete') ? null : combo
+                }
+            }));
+        };
+
+        window.addEventListener('keydown', onKeyDown, true);
+        button.addEventListener('blur', cancel);
+    }
+
     /**
      * Re-renders the modal's form content. Useful for dynamic lists.
      */
@@ -216,6 +465,7 @@ export class Modal {
 
     close() {
         if (this.modalElement) {
+            this.modalElement.dispatchEvent(new CustomEvent('modal-close'));
             this.modalElement.remove();
             this.modalElement = null;
         }
@@ -263,10 +513,11 @@ export class Modal {
                 }));
 
                 // If it's a range slider with a value display, update it
+                // (from the input, since a modal-input handler may have clamped it)
                 if (input.type === 'range') {
                     const valueSpan = this.modalElement.querySelector(`.slider-value[data-key="${key}"]`);
                     if (valueSpan) {
-                        valueSpan.textContent = value;
+                        valueSpan.textContent = input.value;
                     }
                 }
             }
@@ -0,0 +1,79 @@
+// ====================================================================
+// Pitch shifter (AudioWorklet)
+// ====================================================================
+// Runs in the audio thread, loaded with masterBus.loadWorklet(). Used to undo the
+// pitch change that comes with playing a buffer faster or slower.
+//
+// The classic delay-line shifter: two read heads sweep through a short delay,
+// half a window apart, each faded in and out with a sine window so the jump
+// when a head wraps around is never heard. Not studio grade, but cheap and
+// fine for speech and most effects at sensible speeds.
+
+const WINDOW_S = 0.06;
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+    }
+
+    constructor() {
+        super();
+        this.windowSize = Math.round(sampleRate * WINDOW_S);
+        this.bufferSize = this.windowSize * 2;
+        /** @type {Float32Array[]} One delay line per output channel. */
+        this.buffers = [];
+        this.writeIndex = 0;
+        this.phase = 0; // 0-1, how far through the window head A is
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const ratio = parameters.pitchRatio[0];
+        const { windowSize, bufferSize } = this;
+
+        while (this.buffers.length < output.length) {
+            this.buffers.push(new Float32Array(bufferSize));
+        }
+
+        // A head moving through the delay at this rate reads the signal back ratio times as fast
+        const phaseStep = (1 - ratio) / windowSize;
+        const frames = output[0].length;
+
+        for (let i = 0; i < frames; i++) {
+            this.phase = (this.phase + phaseStep + 1) % 1;
+            const phaseB = (this.phase + 0.5) % 1;
+            // sin² windows half a cycle apart always add up to 1
+            const gainA = Math.sin(Math.PI * this.phase) ** 2;
+            const gainB = 1 - gainA;
+
+            for (let c = 0; c < output.length; c++) {
+                const buffer = this.buffers[c];
+                // Mono in, stereo out: both sides get the one channel
+                const channel = input[Math.min(c, input.length - 1)];
+                buffer[this.writeIndex] = channel ? channel[i] : 0;
+
+                output[c][i] = this._read(buffer, this.phase * windowSize) * gainA
+                    + this._read(buffer, phaseB * windowSize) * gainB;
+            }
+            this.writeIndex = (this.writeIndex + 1) % bufferSize;
+        }
+
+        return true;
+    }
+
+    /**
+     * Reads the delay line `delay` samples behind the write head, interpolating between samples.
+     * @param {Float32Array} buffer
+     * @param {number} delay
+     */
+    _read(buffer, delay) {
+        const position = (this.writeIndex - delay + this.bufferSize) % this.bufferSize;
+        const index = Math.floor(position);
+        const frac = position - index;
+        const next = (index + 1) % this.bufferSize;
+        return buffer[index] + (buffer[next] - buffer[index]) * frac;
+    }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);
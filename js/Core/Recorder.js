@@ -0,0 +1,211 @@
+import { masterBus } from './MasterBus.js';
+
+const RECORDER_TAP_URL = new URL('./RecorderWorklet.js', import.meta.url);
+
+/**
+ * @typedef {object} Recording
+ * @property {Blob} blob
+ * @property {string} mimeType
+ * @property {'webm' | 'wav'} format
+ * @property {number} startedAt Date.now() when recording started.
+ * @property {number} durationMs
+ */
+
+/**
+ * Records the board output (after master volume and the limiter, so exactly what went
+ * out) to a file. Two flavours:
+ *  - 'webm': MediaRecorder, Opus compressed. Small enough to leave running for a whole show.
+ *  - 'wav': raw 16-bit PCM straight from the audio thread. Big, but lossless.
+ *
+ * Cards sent to their own output device aren't on the board output, so they aren't recorded.
+ */
+class Recorder {
+    static FORMATS = [
+        { label: 'WebM / Opus (small)', value: 'webm' },
+        { label: 'WAV (uncompressed)', value: 'wav' }
+    ];
+
+    constructor() {
+        this.isRecording = false;
+        /** @type {'webm' | 'wav' | null} */
+        this.format = null;
+        this.startedAt = 0;
+
+        this._mediaRecorder = null;
+        this._streamDestination = null;
+        /** @type {AudioWorkletNode | null} */
+        this._tap = null;
+        /** @type {Array<Blob | Int16Array>} */
+        this._chunks = [];
+    }
+
+    /**
+     * @returns {number} How long we've been recording, in ms.
+     */
+    get elapsedMs() {
+        return this.isRecording ? Date.now() - this.startedAt : 0;
+    }
+
+    /**
+     * @param {'webm' | 'wav'} [format='webm']
+     */
+    async start(format = 'webm') {
+        if (this.isRecording) return;
+
+        await masterBus.resume();
+        this._chunks = [];
+
+        if (format === 'wav') {
+            await this._startWav();
+        } else {
+            this._startWebm();
+        }
+
+        this.format = format;
+        this.startedAt = Date.now();
+        this.isRecording = true;
+    }
+
+    /**
+     * Stops recording and hands back the finished file.
+     * @returns {Promise<Recording | null>} null if we weren't recording.
+     */
+    async stop() {
+        if (!this.isRecording) return null;
+        this.isRecording = false;
+
+        const durationMs = Date.now() - this.startedAt;
+        const blob = this.format === 'wav' ? await this._stopWav() : await this._stopWebm();
+        this._chunks = [];
+
+        return {
+            blob,
+            mimeType: blob.type,
+            format: this.format,
+            startedAt: this.startedAt,
+            durationMs
+        };
+    }
+
+    // --- Private Methods ---
+
+    _startWebm() {
+        if (typeof MediaRecorder === 'undefined') {
+            throw new Error('This browser cannot record compressed audio, try WAV');
+        }
+
+        const context = masterBus.getContext();
+        this._streamDestination = context.createMediaStreamDestination();
+        masterBus.output.connect(this._streamDestination);
+
+        const mimeType = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4']
+            .find(type => MediaRecorder.isTypeSupported(type)) || '';
+        this._mediaRecorder = new MediaRecorder(this._streamDestination.stream, mimeType ? { mimeType } : {});
+        this._mediaRecorder.ondataavailable = (e) => {
+            if (e.data.size > 0) this._chunks.push(e.data);
+        };
+        // Hand over a chunk every second, so a crash mid-show doesn't lose one giant buffer
+        this._mediaRecorder.start(1000);
+    }
+
+    _stopWebm() {
+        return new Promise(resolve => {
+            const mediaRecorder = this._mediaRecorder;
+            mediaRecorder.onstop = () => {
+                masterBus.output.disconnect(this._streamDestination);
+                this._streamDestination = null;
+                this._mediaRecorder = null;
+                resolve(new Blob(this._chunks, { type: mediaRecorder.mimeType || 'audio/webm' }));
+            };
+            mediaRecorder.stop();
+        });
+    }
+
+    async _startWav() {
+        await masterBus.loadWorklet(RECORDER_TAP_URL);
+
+        const context = masterBus.getContext();
+        this._tap = new AudioWorkletNode(context, 'recorder-tap', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: 2,
+            channelCountMode: 'explicit'
+        });
+
+        // Convert as it arrives: 16-bit takes half the memory of the floats we're sent
+        this._tap.port.onmessage = (e) => {
+            if (Array.isArray(e.data)) this._chunks.push(this._interleave(e.data));
+        };
+        masterBus.output.connect(this._tap);
+    }
+
+    async _stopWav() {
+        const tap = this._tap;
+        this._tap = null;
+        masterBus.output.disconnect(tap);
+
+        // Get the last partial batch out of the audio thread before we wrap up
+        await new Promise(resolve => {
+            const onFlushed = (e) => {
+                if (e.data !== 'flushed') return;
+                tap.port.removeEventListener('message', onFlushed);
+                resolve();
+            };
+            tap.port.addEventListener('message', onFlushed);
+            tap.port.postMessage('flush');
+        });
+        tap.port.onmessage = null;
+
+        return this._encodeWav(/** @type {Int16Array[]} */(this._chunks), masterBus.getContext().sampleRate, 2);
+    }
+
+    /**
+     * @param {Float32Array[]} channels
+     * @returns {Int16Array} Interleaved 16-bit samples.
+     */
+    _interleave(channels) {
+        const frames = channels[0].length;
+        const out = new Int16Array(frames * channels.length);
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < channels.length; c++) {
+                const v = Math.max(-1, Math.min(1, channels[c][i]));
+                out[i * channels.length + c] = v < 0 ? v * 0x8000 : v * 0x7FFF;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Wraps PCM chunks in a WAV header. The chunks go into the Blob as they are, no big copy.
+     * @param {Int16Array[]} chunks
+     * @param {number} sampleRate
+     * @param {number} channelCount
+     * @returns {Blob}
+     */
+    _encodeWav(chunks, sampleRate, channelCount) {
+        const dataBytes = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+        const header = new DataView(new ArrayBuffer(44));
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) header.setUint8(offset + i, text.charCodeAt(i));
+        };
+
+        writeString(0, 'RIFF');
+        header.setUint32(4, 36 + dataBytes, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        header.setUint32(16, 16, true); // fmt chunk size
+        header.setUint16(20, 1, true); // PCM
+        header.setUint16(22, channelCount, true);
+        header.setUint32(24, sampleRate, true);
+        header.setUint32(28, sampleRate * channelCount * 2, true); // Byte rate
+        header.setUint16(32, channelCount * 2, true); // Block align
+        header.setUint16(34, 16, true); // Bits per sample
+        writeString(36, 'data');
+        header.setUint32(40, dataBytes, true);
+
+        return new Blob([header.buffer, ...chunks], { type: 'audio/wav' });
+    }
+}
+
+export const recorder = new Recorder();
+export { Recorder };
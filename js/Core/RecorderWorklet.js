@@ -0,0 +1,51 @@
+// ====================================================================
+// Recorder tap (AudioWorklet)
+// ====================================================================
+// Runs in the audio thread, loaded with masterBus.loadWorklet(). Copies whatever
+// comes in and posts it to the main thread in batches, for WAV recordings.
+
+const BATCH_FRAMES = 8192; // ~170ms at 48kHz, so we're not posting 375 messages a second
+
+class RecorderTapProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.batch = null; // One Float32Array per channel
+        this.filled = 0;
+        this.port.onmessage = (e) => {
+            if (e.data === 'flush') {
+                this._post();
+                this.port.postMessage('flushed');
+            }
+        };
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) return true;
+
+        if (!this.batch) {
+            this.batch = input.map(() => new Float32Array(BATCH_FRAMES));
+        }
+
+        const frames = input[0].length;
+        for (let offset = 0; offset < frames;) {
+            const count = Math.min(frames - offset, BATCH_FRAMES - this.filled);
+            this.batch.forEach((channel, c) => {
+                channel.set(input[Math.min(c, input.length - 1)].subarray(offset, offset + count), this.filled);
+            });
+            this.filled += count;
+            offset += count;
+            if (this.filled === BATCH_FRAMES) this._post();
+        }
+        return true;
+    }
+
+    _post() {
+        if (!this.batch || this.filled === 0) return;
+        const channels = this.batch.map(channel => channel.slice(0, this.filled));
+        this.port.postMessage(channels, channels.map(channel => channel.buffer));
+        this.filled = 0;
+    }
+}
+
+registerProcessor('recorder-tap', RecorderTapProcessor);
@@ -0,0 +1,91 @@
+const SCHEDULER_WORKER_URL = new URL('./SchedulerWorker.js', import.meta.url);
+
+/**
+ * setTimeout that still fires on time when the tab is in the background.
+ * The waiting happens in a worker (see SchedulerWorker.js), which background tabs
+ * don't throttle. If the worker can't start (e.g. opened from file://), it falls
+ * back to the page's own setTimeout, which is still better than requestAnimationFrame
+ * (that stops completely in a background tab).
+ */
+class Scheduler {
+    constructor() {
+        this._nextId = 1;
+        /** @type {Map<number, Function>} */
+        this._callbacks = new Map();
+        /** @type {Worker | null | undefined} undefined = not started yet, null = unavailable */
+        this._worker = undefined;
+        /** @type {Map<number, number>} Page timers, only used without the worker */
+        this._fallbackTimeouts = new Map();
+    }
+
+    /**
+     * @param {Function} callback
+     * @param {number} delayMs
+     * @returns {number} An id for clearTimeout().
+     */
+    setTimeout(callback, delayMs) {
+        const id = this._nextId++;
+        this._callbacks.set(id, callback);
+
+        const worker = this._getWorker();
+        if (worker) {
+            worker.postMessage({ type: 'set', id, delayMs: Math.max(0, delayMs) });
+        } else {
+            this._fallbackTimeouts.set(id, setTimeout(() => this._fire(id), delayMs));
+        }
+        return id;
+    }
+
+    /**
+     * @param {number | null} id
+     */
+    clearTimeout(id) {
+        if (!id || !this._callbacks.has(id)) return;
+        this._callbacks.delete(id);
+
+        if (this._worker) {
+            this._worker.postMessage({ type: 'clear', id });
+        } else {
+            clearTimeout(this._fallbackTimeouts.get(id));
+            this._fallbackTimeouts.delete(id);
+        }
+    }
+
+    _fire(id) {
+        const callback = this._callbacks.get(id);
+        if (!callback) return; // Cleared while the message was on its way
+        this._callbacks.delete(id);
+        this._fallbackTimeouts.delete(id);
+        callback();
+    }
+
+    // Started on first use, so pages without timers never spin one up
+    _getWorker() {
+        if (this._worker !== undefined) return this._worker;
+
+        try {
+            this._worker = new Worker(SCHEDULER_WORKER_URL);
+            this._worker.onmessage = (e) => this._fire(e.data);
+            this._worker.onerror = (e) => {
+                console.warn('Scheduler worker failed, falling back to page timers.', e);
+                this._useFallback();
+            };
+        } catch (e) {
+            console.warn('Scheduler worker unavailable, falling back to page timers.', e);
+            this._worker = null;
+        }
+        return this._worker;
+    }
+
+    // Anything the dead worker was holding gets moved over to page timers (due now, close enough)
+    _useFallback() {
+        this._worker?.terminate();
+        this._worker = null;
+        for (const id of this._callbacks.keys()) {
+            this._fallbackTimeouts.set(id, setTimeout(() => this._fire(id), 0));
+        }
+    }
+}
+
+export const scheduler = new Scheduler();
+export { Scheduler };
@@ -0,0 +1,25 @@
+// ====================================================================
+// Scheduler worker
+// ====================================================================
+// A plain dedicated worker, loaded by Scheduler.js. Browsers throttle timers in
+// background tabs hard (down to once a minute in Chrome), but leave worker timers
+// alone, so this just runs setTimeout for the page and says when each one is due.
+//
+// In:  { type: 'set', id, delayMs }  /  { type: 'clear', id }
+// Out: id (when that timeout is due)
+
+const timeouts = new Map();
+
+self.onmessage = (e) => {
+    const { type, id, delayMs } = e.data;
+
+    clearTimeout(timeouts.get(id));
+    timeouts.delete(id);
+
+    if (type === 'set') {
+        timeouts.set(id, setTimeout(() => {
+            timeouts.delete(id);
+            self.postMessage(id);
+        }, delayMs));
+    }
+};
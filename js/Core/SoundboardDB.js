@@ -3,9 +3,9 @@
 // ====================================================================
 import { MigrationManager } from "../Managers/MigrationManager.js";
 export class SoundboardDB {
-    constructor(boardIdOverride = null, cardTypes = ['sound', 'notepad', 'timer']) { // Accept cardTypes as a parameter with a default value
+    constructor(boardIdOverride = null, cardTypes = ['sound', 'notepad', 'timer', 'macro', 'cuelist']) { // Accept cardTypes as a parameter with a default value
         
-        this.CARD_PREFIXES = ['sound-', 'notepad-', 'timer-'];
+        this.CARD_PREFIXES = ['sound-', 'notepad-', 'timer-', 'macro-', 'cuelist-'];
 
 
         let boardId;
@@ -20,9 +20,12 @@ export class SoundboardDB {
         this.boardId = boardId;
 
         this.DB_NAME = `BugAndMossSoundboardDB_${boardId}`;
-        this.DB_VERSION = 11;
+        this.DB_VERSION = 17;
         
         this.CONFIG_STORE = 'config';
+        this.RECORDINGS_STORE = 'recordings'; // Kept out of getAll(), so board exports stay small
+        this.AS_RUN_STORE = 'as_run_log'; // Same deal
+        this.SHUFFLE_BAGS_STORE = 'shuffle_bags'; // Playback state, not something to export either
         this.cardTypes = cardTypes
 
         this.db = null;
@@ -42,6 +45,18 @@ export class SoundboardDB {
                     this.db.createObjectStore(this.CONFIG_STORE, { keyPath: 'id' });
                 }
 
+                if (!this.db.objectStoreNames.contains(this.RECORDINGS_STORE)) {
+                    this.db.createObjectStore(this.RECORDINGS_STORE, { keyPath: 'id' });
+                }
+
+                if (!this.db.objectStoreNames.contains(this.AS_RUN_STORE)) {
+                    this.db.createObjectStore(this.AS_RUN_STORE, { keyPath: 'id', autoIncrement: true });
+                }
+
+                if (!this.db.objectStoreNames.contains(this.SHUFFLE_BAGS_STORE)) {
+                    this.db.createObjectStore(this.SHUFFLE_BAGS_STORE, { keyPath: 'id' });
+                }
+
                 // Create type-specific card stores
                 this.cardTypes.forEach(type => {
                     const storeName = `${type}_cards`;
@@ -148,9 +163,59 @@ export class SoundboardDB {
         return [...cardData, ...configData];
     }
 
+    // --- Shuffle bags ---
+    // Kept out of the card record, so taking one file out of the bag doesn't rewrite every file's audio.
+    // Only newer than the card's own shuffleBag while it exists: saving the card deletes it.
+
+    async saveShuffleBag(cardId, bag) {
+        return this._dbRequest(this.SHUFFLE_BAGS_STORE, 'readwrite', 'put', { id: cardId, bag });
+    }
+
+    async getShuffleBag(cardId) {
+        const saved = await this._dbRequest(this.SHUFFLE_BAGS_STORE, 'readonly', 'get', cardId);
+        return saved ? saved.bag : null;
+    }
+
+    async deleteShuffleBag(cardId) {
+        return this._dbRequest(this.SHUFFLE_BAGS_STORE, 'readwrite', 'delete', cardId);
+    }
+
+    // --- Recordings ---
+
+    async saveRecording(recording) {
+        return this._dbRequest(this.RECORDINGS_STORE, 'readwrite', 'put', recording);
+    }
+
+    async getRecording(id) {
+        return this._dbRequest(this.RECORDINGS_STORE, 'readonly', 'get', id);
+    }
+
+    async getAllRecordings() {
+        return this._dbRequest(this.RECORDINGS_STORE, 'readonly', 'getAll');
+    }
+
+    async deleteRecording(id) {
+        return this._dbRequest(this.RECORDINGS_STORE, 'readwrite', 'delete', id);
+    }
+
+    // --- As-run log ---
+
+    async addAsRunEntry(entry) {
+        return this._dbRequest(this.AS_RUN_STORE, 'readwrite', 'add', entry);
+    }
+
+    // Oldest first (ids count up)
+    async getAsRunLog() {
+        return this._dbRequest(this.AS_RUN_STORE, 'readonly', 'getAll');
+    }
+
+    async clearAsRunLog() {
+        return this._dbRequest(this.AS_RUN_STORE, 'readwrite', 'clear');
+    }
+
    async clear() {
         if (!this.db) return Promise.reject("Database is not open.");
-        const storeNames = [this.CONFIG_STORE, ...this.cardTypes.map(type => `${type}_cards`)];
+        const storeNames = [this.CONFIG_STORE, this.RECORDINGS_STORE, this.AS_RUN_STORE, this.SHUFFLE_BAGS_STORE, ...this.cardTypes.map(type => `${type}_cards`)];
         const transaction = this.db.transaction(storeNames, 'readwrite');
         await Promise.all(storeNames.map(name => {
             return new Promise((resolve, reject) => {
@@ -0,0 +1,27 @@
+/**
+ * Boils an AudioBuffer down to a small list of peaks for drawing.
+ * It's stored with the file in the DB, so keep it small: plain numbers, rounded.
+ * @param {AudioBuffer} audioBuffer
+ * @param {number} [bucketCount=600] How many peaks to keep (roughly the widest we'll ever draw it).
+ * @returns {number[]} The loudest sample (0-1, all channels) in each bucket.
+ */
+export function computeWaveform(audioBuffer, bucketCount = 600) {
+    const length = audioBuffer.length;
+    const buckets = Math.max(1, Math.min(bucketCount, length));
+    const bucketSize = length / buckets;
+    const peaks = new Array(buckets).fill(0);
+
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        const samples = audioBuffer.getChannelData(c);
+        for (let b = 0; b < buckets; b++) {
+            let peak = peaks[b];
+            for (let i = Math.floor(b * bucketSize), end = Math.floor((b + 1) * bucketSize); i < end; i++) {
+                const v = Math.abs(samples[i]);
+                if (v > peak) peak = v;
+            }
+            peaks[b] = peak;
+        }
+    }
+
+    return peaks.map(peak => Math.round(Math.min(1, peak) * 1000) / 1000);
+}
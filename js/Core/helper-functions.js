@@ -48,6 +48,64 @@ export function debounce(func, delay) {
     };
 }
 
+/**
+ * Loose "do these letters appear in this order" matching, for search boxes.
+ * Letters at the start of a word and runs of letters in a row score higher.
+ * @param {string} query Spaces are ignored.
+ * @param {string} text
+ * @returns {number | null} Higher is better, null = no match.
+ */
+export function fuzzyScore(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = text.toLowerCase();
+    let score = 0;
+    let from = 0;
+    let lastMatch = -2;
+
+    for (const char of needle) {
+        const found = haystack.indexOf(char, from);
+        if (found === -1) return null;
+
+        if (found === lastMatch + 1) score += 5; // Run of letters
+        if (found === 0 || /[\s:\-_(]/.test(haystack[found - 1])) score += 10; // Start of a word
+        score -= Math.min(found - from, 10) * 0.5; // Gaps cost a little
+
+        lastMatch = found;
+        from = found + 1;
+    }
+    return score;
+}
+
+/**
+ * 754000 -> "12:34", 3723000 -> "1:02:03". Rounds seconds up, so a countdown shows 00:01 until it really is over.
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatMs(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const minutesAndSeconds = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${minutesAndSeconds}` : minutesAndSeconds;
+}
+
+/**
+ * Saves a blob to the user's downloads.
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 export function slugify(text) {
     return text.toString().toLowerCase().trim()
         .replace(/\s+/g, '-')           // Replace spaces with -
@@ -228,6 +286,42 @@ export function randomButNot(min, max, notThis) {
     return value;
 }
 
+/**
+ * Picks an index at random, in proportion to its weight, avoiding notThis when there's anything else to pick.
+ * @param {number[]} weights 0 = never picked.
+ * @param {number} [notThis]
+ * @returns {number | null} null if every weight is 0.
+ */
+export function weightedRandomButNot(weights, notThis) {
+    let candidates = weights.map((weight, index) => ({ weight, index })).filter(c => c.weight > 0);
+    if (candidates.length > 1) {
+        candidates = candidates.filter(c => c.index !== notThis);
+    }
+    if (candidates.length === 0) return null;
+
+    const total = candidates.reduce((sum, c) => sum + c.weight, 0);
+    let roll = Math.random() * total;
+    for (const c of candidates) {
+        roll -= c.weight;
+        if (roll < 0) return c.index;
+    }
+    return candidates[candidates.length - 1].index; // Floating point leftovers
+}
+
+/**
+ * Shuffles an array in place (Fisher-Yates).
+ * @template T
+ * @param {T[]} array
+ * @returns {T[]} The same array.
+ */
+export function shuffleArray(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
 export function lerp(startValue, endValue, duration, onUpdate) {
     let startTime = null;
 
@@ -0,0 +1,193 @@
+import { masterBus } from '../Core/MasterBus.js';
+import { MSG } from '../Core/MSG.js';
+import { debounce } from '../Core/helper-functions.js';
+
+/**
+ * Board-level audio settings (which device the board plays out of, where
+ * previews go, master volume...). Lives in the cosmetics modal and the dock,
+ * and saves to the board DB.
+ */
+export class AudioSettingsManager {
+    static CONFIG_KEY = 'audio-config';
+
+    static Default() {
+        return {
+            outputDeviceId: '', // '' = system default
+            cueDeviceId: '', // '' = same as the board output
+            normalizeLoudness: false,
+            targetLufs: -16,
+            masterVolume: 1,
+            limiterEnabled: false
+        };
+    }
+
+    constructor() {
+        this.config = AudioSettingsManager.Default();
+        this.debouncedUpdateConfig = debounce((changes) => this.updateConfig(changes), 300);
+    }
+
+    /**
+     * Loads this board's audio settings and applies them to the master bus.
+     * @param {import('../Core/SoundboardDB.js').SoundboardDB} currentDB
+     */
+    async init(currentDB) {
+        this.db = currentDB;
+
+        const saved = await this.db.get(AudioSettingsManager.CONFIG_KEY);
+        this.config = { ...AudioSettingsManager.Default(), ...saved };
+        delete this.config.id;
+
+        await masterBus.setOutputDevice(this.config.outputDeviceId);
+        masterBus.setCueDevice(this.config.cueDeviceId);
+        this._applyLoudness();
+        masterBus.setVolume(this.config.masterVolume);
+        masterBus.setLimiterEnabled(this.config.limiterEnabled);
+        await masterBus.refreshOutputDevices();
+
+        this._getDOMLemons();
+        this._attachListeners();
+        this._renderDeviceSelects();
+        this._renderLoudness();
+        this._renderMaster();
+    }
+
+    _getDOMLemons() {
+        this.elements = {
+            section: document.getElementById('audio-output-section'),
+            outputSelect: document.getElementById('output-device-select'),
+            cueSelect: document.getElementById('cue-device-select'),
+            showNamesBtn: document.getElementById('show-device-names-btn'),
+            note: document.getElementById('output-device-note'),
+            normalizeCheckbox: document.getElementById('normalize-loudness-checkbox'),
+            targetSlider: document.getElementById('target-loudness-slider'),
+            targetValue: document.getElementById('target-loudness-value'),
+            masterVolumeSlider: document.getElementById('master-volume-slider'),
+            masterVolumeValue: document.getElementById('master-volume-value'),
+            limiterCheckbox: document.getElementById('limiter-checkbox'),
+        };
+    }
+
+    _attachListeners() {
+        this.elements.outputSelect.addEventListener('change', (e) => {
+            //@ts-ignore
+            this.updateConfig({ outputDeviceId: e.target.value });
+        });
+        this.elements.cueSelect.addEventListener('change', (e) => {
+            //@ts-ignore
+            this.updateConfig({ cueDeviceId: e.target.value });
+        });
+        this.elements.showNamesBtn.addEventListener('click', () => this._requestDeviceLabels());
+
+        this.elements.normalizeCheckbox.addEventListener('change', (e) => {
+            //@ts-ignore
+            this.updateConfig({ normalizeLoudness: e.target.checked });
+        });
+        this.elements.targetSlider.addEventListener('input', (e) => {
+            //@ts-ignore
+            const targetLufs = parseInt(e.target.value, 10);
+            this.elements.targetValue.textContent = `${targetLufs} LUFS`;
+            this.debouncedUpdateConfig({ targetLufs });
+        });
+
+        this.elements.masterVolumeSlider.addEventListener('input', (e) => {
+            //@ts-ignore
+            const masterVolume = parseFloat(e.target.value);
+            masterBus.setVolume(masterVolume); // Right away, the save can wait
+            this.elements.masterVolumeValue.textContent = `${Math.round(masterVolume * 100)}%`;
+            this.debouncedUpdateConfig({ masterVolume });
+        });
+        this.elements.limiterCheckbox.addEventListener('change', (e) => {
+            //@ts-ignore
+            this.updateConfig({ limiterEnabled: e.target.checked });
+        });
+
+        // Plugging in (or yanking out) an interface should show up without a reload
+        navigator.mediaDevices?.addEventListener?.('devicechange', async () => {
+            await masterBus.refreshOutputDevices();
+            this._renderDeviceSelects();
+        });
+
+        // Refresh when the cosmetics modal opens, in case names became available
+        MSG.on(MSG.ACTIONS.REQUEST_OPEN_THEME_MANAGER, async () => {
+            await masterBus.refreshOutputDevices();
+            this._renderDeviceSelects();
+        });
+    }
+
+    /**
+     * Saves new settings and applies them right away.
+     * @param {object} changes
+     */
+    async updateConfig(changes) {
+        this.config = { ...this.config, ...changes };
+
+        if ('outputDeviceId' in changes) await masterBus.setOutputDevice(this.config.outputDeviceId);
+        if ('cueDeviceId' in changes) masterBus.setCueDevice(this.config.cueDeviceId);
+        if ('normalizeLoudness' in changes || 'targetLufs' in changes) this._applyLoudness();
+        if ('masterVolume' in changes) masterBus.setVolume(this.config.masterVolume);
+        if ('limiterEnabled' in changes) masterBus.setLimiterEnabled(this.config.limiterEnabled);
+
+        await this.db.save(AudioSettingsManager.CONFIG_KEY, { id: AudioSettingsManager.CONFIG_KEY, ...this.config });
+    }
+
+    _renderDeviceSelects() {
+        const { outputSelect, cueSelect, note, showNamesBtn } = this.elements;
+
+        if (!masterBus.canSelectOutput) {
+            outputSelect.disabled = true;
+            cueSelect.disabled = true;
+            showNamesBtn.style.display = 'none';
+            note.textContent = "This browser can only play through the default output.";
+        }
+
+        this._fillSelect(outputSelect, 'System Default', this.config.outputDeviceId);
+        this._fillSelect(cueSelect, 'Same as Board Output', this.config.cueDeviceId);
+    }
+
+    _renderLoudness() {
+        const { normalizeCheckbox, targetSlider, targetValue } = this.elements;
+        //@ts-ignore
+        normalizeCheckbox.checked = this.config.normalizeLoudness;
+        //@ts-ignore
+        targetSlider.value = this.config.targetLufs;
+        targetValue.textContent = `${this.config.targetLufs} LUFS`;
+    }
+
+    _renderMaster() {
+        const { masterVolumeSlider, masterVolumeValue, limiterCheckbox } = this.elements;
+        //@ts-ignore
+        masterVolumeSlider.value = this.config.masterVolume;
+        masterVolumeValue.textContent = `${Math.round(this.config.masterVolume * 100)}%`;
+        //@ts-ignore
+        limiterCheckbox.checked = this.config.limiterEnabled;
+    }
+
+    _applyLoudness() {
+        masterBus.setTargetLoudness(this.config.normalizeLoudness ? this.config.targetLufs : null);
+    }
+
+    /**
+     * @param {HTMLSelectElement} select
+     * @param {string} defaultLabel What the '' option is called.
+     * @param {string} value The saved device id.
+     */
+    _fillSelect(select, defaultLabel, value) {
+        select.innerHTML = '';
+        select.add(new Option(defaultLabel, ''));
+        masterBus.getDeviceOptions(value).forEach(opt => select.add(new Option(opt.label, opt.value)));
+        select.value = value;
+    }
+
+    async _requestDeviceLabels() {
+        try {
+            // Browsers only reveal device names once the page has microphone permission.
+            // We don't keep the stream, we just need the permission.
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            stream.getTracks().forEach(track => track.stop());
+        } catch (e) {
+            MSG.log('Microphone permission was not granted, device names stay hidden', 1, e);
+        }
+        await masterBus.refreshOutputDevices();
+        this._renderDeviceSelects();
+    }
+}
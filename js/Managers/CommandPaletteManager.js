@@ -0,0 +1,188 @@
+import { hotkeys } from '../Core/Hotkeys.js';
+import { MSG } from '../Core/MSG.js';
+import { fuzzyScore } from '../Core/helper-functions.js';
+
+/**
+ * Ctrl+K (Cmd+K) search box for every command on the bus, plus a few board actions
+ * that aren't commands (they open things, which a timer has no business doing).
+ */
+export class CommandPaletteManager {
+    static MAX_RESULTS = 50;
+
+    // Only for the palette. Each one just asks for what the dock button would.
+    static BOARD_ACTIONS = [
+        { id: 'palette:switch-board', name: 'Board: Switch Board', action: MSG.ACTIONS.REQUEST_SWITCH_BOARD },
+        { id: 'palette:theme-manager', name: 'Board: Open Cosmetics (Theme Manager)', action: MSG.ACTIONS.REQUEST_OPEN_THEME_MANAGER },
+        { id: 'palette:rearrange', name: 'Board: Toggle Rearrange Mode', action: MSG.ACTIONS.REQUEST_TOGGLE_REARRANGE_MODE },
+        { id: 'palette:storage', name: 'Board: Open Storage & Data', action: MSG.ACTIONS.REQUEST_OPEN_STORAGE_DATA },
+        { id: 'palette:manage-boards', name: 'Board: Open Manage Boards', action: MSG.ACTIONS.REQUEST_OPEN_MANAGE_BOARDS },
+        { id: 'palette:hotkeys', name: 'Board: Open Hotkeys', action: MSG.ACTIONS.REQUEST_OPEN_HOTKEYS },
+    ];
+
+    constructor() {
+        this.allCommands = []; // Straight off the command bus
+        this.results = [];
+        this.selectedIndex = 0;
+    }
+
+    init() {
+        this._getDOMLemons();
+        this._attachListeners();
+    }
+
+    _getDOMLemons() {
+        this.elements = {
+            modal: document.getElementById('command-palette-modal'),
+            input: document.getElementById('command-palette-input'),
+            results: document.getElementById('command-palette-results'),
+            openBtn: document.getElementById('command-palette-btn'),
+        };
+    }
+
+    _attachListeners() {
+        const { modal, input, results, openBtn } = this.elements;
+
+        MSG.on(MSG.EVENTS.COMMANDS_CHANGED, (commands) => {
+            this.allCommands = commands;
+            if (this.isOpen) this._search();
+        });
+
+        // Works even while typing in a notepad, that's the point of a shortcut
+        document.addEventListener('keydown', (e) => {
+            if (e.key.toLowerCase() !== 'k' || !(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+            e.preventDefault(); // Browsers like to focus the address bar on this one
+            this.isOpen ? this.close() : this.open();
+        });
+        openBtn.addEventListener('click', () => this.open());
+
+        // Escape closes the palette wherever focus is in it (a clicked result, say). Capture phase,
+        // so it gets there before the Stop All key on the document and can keep it from firing.
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape' || !this.isOpen) return;
+            e.stopPropagation();
+            this.close();
+        }, true);
+
+        modal.addEventListener('mousedown', (e) => {
+            if (e.target === modal) this.close();
+        });
+
+        input.addEventListener('input', () => this._search());
+        input.addEventListener('keydown', (e) => {
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    this._select(this.selectedIndex + 1);
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this._select(this.selectedIndex - 1);
+                    break;
+                case 'Enter':
+                    e.preventDefault();
+                    this._run(this.results[this.selectedIndex]);
+                    break;
+            }
+        });
+
+        results.addEventListener('click', (e) => {
+            //@ts-ignore
+            const li = e.target.closest('li[data-index]');
+            if (li) this._run(this.results[parseInt(li.dataset.index, 10)]);
+        });
+    }
+
+    get isOpen() {
+        return this.elements.modal.style.display === 'flex';
+    }
+
+    open() {
+        const { modal, input } = this.elements;
+        //@ts-ignore
+        input.value = '';
+        modal.style.display = 'flex';
+        input.focus();
+        this._search();
+    }
+
+    close() {
+        this.elements.modal.style.display = 'none';
+    }
+
+    /**
+     * Everything we can run, as { id, name, action? } (action = a board action, not a bus command).
+     */
+    _getEntries() {
+        return [
+            ...this.allCommands.map(command => ({ id: command.id, name: command.name })),
+            ...CommandPaletteManager.BOARD_ACTIONS
+        ];
+    }
+
+    _search() {
+        //@ts-ignore
+        const query = this.elements.input.value.trim();
+        const entries = this._getEntries();
+
+        if (query) {
+            this.results = entries
+                .map(entry => ({ entry, score: fuzzyScore(query, entry.name) }))
+                .filter(({ score }) => score !== null)
+                .sort((a, b) => b.score - a.score)
+                .map(({ entry }) => entry);
+        } else {
+            this.results = entries;
+        }
+        this.results = this.results.slice(0, CommandPaletteManager.MAX_RESULTS);
+        this.selectedIndex = 0;
+        this._renderResults();
+    }
+
+    _renderResults() {
+        const list = this.elements.results;
+        list.innerHTML = '';
+
+        if (this.results.length === 0) {
+            list.innerHTML = '<li><small>No commands match.</small></li>';
+            return;
+        }
+
+        const combos = hotkeys.getCombosByCommand();
+        this.results.forEach((entry, index) => {
+            const li = document.createElement('li');
+            li.dataset.index = String(index);
+            li.classList.toggle('selected', index === this.selectedIndex);
+
+            const name = document.createElement('span');
+            name.textContent = entry.name;
+            li.appendChild(name);
+
+            if (combos[entry.id]) {
+                const combo = document.createElement('small');
+                combo.textContent = combos[entry.id];
+                li.appendChild(combo);
+            }
+            list.appendChild(li);
+        });
+    }
+
+    _select(index) {
+        if (this.results.length === 0) return;
+        this.selectedIndex = (index + this.results.length) % this.results.length;
+
+        const items = this.elements.results.querySelectorAll('li');
+        items.forEach((li, i) => li.classList.toggle('selected', i === this.selectedIndex));
+        items[this.selectedIndex]?.scrollIntoView({ block: 'nearest' });
+    }
+
+    _run(entry) {
+        if (!entry) return;
+        this.close();
+
+        if (entry.action) {
+            MSG.say(entry.action);
+        } else {
+            MSG.say(MSG.ACTIONS.REQUEST_RUN_COMMAND, { commandId: entry.id, via: 'Command Palette' });
+        }
+    }
+}
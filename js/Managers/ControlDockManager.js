@@ -1,6 +1,10 @@
 import { MSG } from '../Core/MSG.js';
 import { store } from '../Core/StateStore.js';
+import { masterBus } from '../Core/MasterBus.js';
 export class ControlDockManager {
+    static METER_FLOOR_DB = -60; // The left end of the meters
+    static PEAK_HOLD_MS = 1000;
+
     /**
      * Manages the new three-card control dock at the bottom of the screen.
      * @param {import('./SoundboardController.js').SoundboardController} soundboardManager
@@ -22,6 +26,7 @@ export class ControlDockManager {
         this._getDOMLemons();
         this._attachListeners();
         this._populateAddCardDock();
+        this._startMeters();
         
         // Subscribe to store updates to reflect rearrange mode changes
         store.subscribe(() => {
@@ -39,7 +44,12 @@ export class ControlDockManager {
             switchBoardBtn: document.getElementById('board-switcher-btn'),
             storageBtn: document.getElementById('storage-data-btn'),
             manageBoardsBtn: document.getElementById('manage-boards-btn'),
+            hotkeysBtn: document.getElementById('hotkeys-btn'),
+            stopAllBtn: document.getElementById('stop-all-btn'),
+            fadeAllBtn: document.getElementById('fade-all-btn'),
             newNameInput: document.getElementById('new-board-name-input'),
+            meters: document.querySelectorAll('#master-dock .level-meter'),
+            limiterReduction: document.getElementById('limiter-reduction'),
         }
     }
 
@@ -48,8 +58,11 @@ export class ControlDockManager {
         this.elements.switchBoardBtn.addEventListener('click', () => MSG.say(MSG.ACTIONS.REQUEST_SWITCH_BOARD));
         this.elements.storageBtn.addEventListener('click', () => MSG.say(MSG.ACTIONS.REQUEST_OPEN_STORAGE_DATA));
         this.elements.manageBoardsBtn.addEventListener('click', () => MSG.say(MSG.ACTIONS.REQUEST_OPEN_MANAGE_BOARDS));
+        this.elements.hotkeysBtn.addEventListener('click', () => MSG.say(MSG.ACTIONS.REQUEST_OPEN_HOTKEYS));
         this.elements.rearrangeBtn.addEventListener('click', () => MSG.say(MSG.ACTIONS.REQUEST_TOGGLE_REARRANGE_MODE));
         this.elements.cosmeticsBtn.addEventListener('click', () => MSG.say(MSG.ACTIONS.REQUEST_OPEN_THEME_MANAGER));
+        this.elements.stopAllBtn.addEventListener('click', () => MSG.say(MSG.ACTIONS.REQUEST_STOP_ALL));
+        this.elements.fadeAllBtn.addEventListener('click', () => MSG.say(MSG.ACTIONS.REQUEST_FADE_ALL));
 
 
         const addCardDock = document.getElementById('add-card-dock');
@@ -63,6 +76,8 @@ export class ControlDockManager {
 
         this.cards.forEach(card => {
             card.addEventListener('click', (e) => {
+                if (e.target.closest('input, label, select')) return; // Form controls don't open or close anything
+
                 if (e.target.closest('button')) {
                     this.closeCard(card); // Close the card when a button is clicked
                     return; // And stop further processing
@@ -100,6 +115,52 @@ export class ControlDockManager {
 
     }
 
+    //#region Meters
+
+    _startMeters() {
+        this.peakHolds = Array.from(this.elements.meters, () => ({ db: -Infinity, at: 0 }));
+        const tick = (now) => {
+            this._updateMeters(now);
+            requestAnimationFrame(tick);
+        };
+        requestAnimationFrame(tick);
+    }
+
+    /**
+     * Draws the master output levels. The bar is RMS (how loud it sounds),
+     * the line is the peak, held for a moment so you can actually see it.
+     * @param {number} now rAF timestamp
+     */
+    _updateMeters(now) {
+        const levels = masterBus.getLevels();
+        if (!levels) return; // Nothing has played yet
+
+        const floor = ControlDockManager.METER_FLOOR_DB;
+        const toPercent = (db) => Math.max(0, Math.min(100, (1 - db / floor) * 100));
+
+        this.elements.meters.forEach((meter, i) => {
+            const rmsDb = levels.rmsDb[i] ?? -Infinity;
+            const peakDb = levels.peakDb[i] ?? -Infinity;
+
+            const hold = this.peakHolds[i];
+            if (peakDb >= hold.db || now - hold.at > ControlDockManager.PEAK_HOLD_MS) {
+                hold.db = peakDb;
+                hold.at = now;
+            }
+
+            meter.querySelector('.meter-rms').style.width = `${toPercent(rmsDb)}%`;
+            meter.querySelector('.meter-peak').style.left = `calc(${toPercent(hold.db)}% - 2px)`;
+            meter.classList.toggle('hot', rmsDb > -12);
+            meter.classList.toggle('clipping', hold.db >= -0.1);
+        });
+
+        this.elements.limiterReduction.textContent = levels.reductionDb < -0.5
+            ? `Limiting: ${levels.reductionDb.toFixed(1)} dB`
+            : '\u00a0';
+    }
+
+    //#endregion
+
     async _populateAddCardDock() {
         this.elements.addCardDockContent.innerHTML = '';
         const cardTypes = this.cardRegistry.getRegisteredTypes();
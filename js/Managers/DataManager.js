@@ -1,9 +1,16 @@
-import { formatBytes, slugify, arrayBufferToBase64, base64ToArrayBuffer } from '../Core/helper-functions.js';
+import { formatBytes, slugify, downloadBlob, arrayBufferToBase64, base64ToArrayBuffer } from '../Core/helper-functions.js';
 import { SoundboardDB } from '../Core/SoundboardDB.js';
+import { MigrationManager } from './MigrationManager.js';
 import { MSG } from '../Core/MSG.js';
 import { store } from '../Core/StateStore.js';
 
 export class DataManager {
+    // How many of the latest as-run entries the tab shows (exports get everything)
+    static AS_RUN_PREVIEW_COUNT = 100;
+
+    // Columns for the as-run CSV, in order
+    static AS_RUN_COLUMNS = ['time', 'event', 'title', 'fileName', 'trigger', 'triggeredBy', 'cardId'];
+
     constructor() {
         this.selectedBoardId = null;
     }
@@ -37,6 +44,12 @@ export class DataManager {
             statsContainer: this.storageDataModal.querySelector('.stats-container'),
             dbExplorerContainer: this.storageDataModal.querySelector('#tab-explorer'),
             wipeBoardBtn: this.storageDataModal.querySelector('#wipe-board-btn'),
+            recordingsList: this.storageDataModal.querySelector('.recordings-list'),
+            asRunSummary: this.storageDataModal.querySelector('.as-run-summary'),
+            asRunList: this.storageDataModal.querySelector('.as-run-list'),
+            exportAsRunCsvBtn: this.storageDataModal.querySelector('#export-as-run-csv-btn'),
+            exportAsRunJsonBtn: this.storageDataModal.querySelector('#export-as-run-json-btn'),
+            clearAsRunBtn: this.storageDataModal.querySelector('#clear-as-run-btn'),
         };
 
         // --- Manage Boards Modal Elements ---
@@ -82,8 +95,26 @@ export class DataManager {
                 // Load content when switching to a tab
                 if (tabName === 'basic') this._renderBoardDetails(this.db.boardId);
                 if (tabName === 'explorer') this._renderDbExplorer(this.db.boardId);
+                if (tabName === 'recordings') this._renderRecordings();
+                if (tabName === 'as-run') this._renderAsRunLog();
             });
         });
+        this.storageDataElements.exportAsRunCsvBtn.addEventListener('click', () => this.exportAsRunLog('csv'));
+        this.storageDataElements.exportAsRunJsonBtn.addEventListener('click', () => this.exportAsRunLog('json'));
+        this.storageDataElements.clearAsRunBtn.addEventListener('click', () => this.clearAsRunLog());
+
+        // Everything cards play, stop and run goes in the board's as-run log
+        MSG.on(MSG.EVENTS.AS_RUN_ENTRY, (entry) => {
+            this.db.addAsRunEntry(entry).catch(error => MSG.log('Could not write to the as-run log', 1, error));
+        });
+        this.storageDataElements.recordingsList.addEventListener('click', (e) => this._handleRecordingClick(e));
+
+        // A recording finished (or was deleted) while the list is open
+        MSG.on(MSG.EVENTS.RECORDINGS_CHANGED, () => {
+            if (this.storageDataModal.querySelector('#tab-recordings').classList.contains('active')) {
+                this._renderRecordings();
+            }
+        });
 
 
         // --- Manage Boards Modal ---
@@ -260,6 +291,129 @@ export class DataManager {
         }
     }
 
+    async _renderRecordings() {
+        const list = this.storageDataElements.recordingsList;
+        list.innerHTML = '<li>Loading...</li>';
+
+        try {
+            const recordings = await this.db.getAllRecordings();
+            list.innerHTML = '';
+            if (recordings.length === 0) {
+                list.innerHTML = '<li>No recordings yet. Use Record in the Master card of the dock.</li>';
+                return;
+            }
+
+            recordings
+                .sort((a, b) => b.startedAt - a.startedAt) // Newest first
+                .forEach(recording => {
+                    const totalSeconds = Math.round(recording.durationMs / 1000);
+                    const duration = `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+
+                    const li = document.createElement('li');
+                    const name = document.createElement('span');
+                    name.textContent = `${recording.name} (${duration}, ${formatBytes(recording.size)}, ${recording.format.toUpperCase()})`;
+                    li.appendChild(name);
+
+                    const buttons = document.createElement('div');
+                    buttons.innerHTML = `
+                        <button class="primary-color" data-action="download-recording">Download</button>
+                        <button class="danger" data-action="delete-recording">Delete</button>
+                    `;
+                    buttons.querySelectorAll('button').forEach(btn => btn.dataset.recordingId = recording.id);
+                    li.appendChild(buttons);
+                    list.appendChild(li);
+                });
+        } catch (error) {
+            list.innerHTML = `<li class="error">Could not load recordings.</li>`;
+            console.error(error);
+        }
+    }
+
+    async _handleRecordingClick(e) {
+        const button = e.target.closest('button[data-recording-id]');
+        if (!button) return;
+        const { action, recordingId } = button.dataset;
+
+        if (action === 'download-recording') {
+            const recording = await this.db.getRecording(recordingId);
+            if (!recording) return;
+            const extension = recording.format === 'wav' ? 'wav' : (recording.mimeType.includes('ogg') ? 'ogg' : recording.mimeType.includes('mp4') ? 'm4a' : 'webm');
+            downloadBlob(recording.blob, `${slugify(recording.name)}.${extension}`);
+        } else if (action === 'delete-recording') {
+            const confirm = await MSG.confirm('Delete this recording? This cannot be undone.');
+            if (!confirm) return;
+            await this.db.deleteRecording(recordingId);
+            MSG.say(MSG.EVENTS.RECORDINGS_CHANGED);
+        }
+    }
+
+    async _renderAsRunLog() {
+        const { asRunSummary, asRunList } = this.storageDataElements;
+        asRunList.innerHTML = '<li>Loading...</li>';
+
+        try {
+            const entries = await this.db.getAsRunLog();
+            asRunList.innerHTML = '';
+            if (entries.length === 0) {
+                asRunSummary.textContent = 'Nothing has been played on this board yet.';
+                return;
+            }
+
+            asRunSummary.textContent = `${entries.length} entries since ${new Date(entries[0].timestamp).toLocaleString()}. Showing the latest ${Math.min(entries.length, DataManager.AS_RUN_PREVIEW_COUNT)}.`;
+            entries.slice(-DataManager.AS_RUN_PREVIEW_COUNT).reverse().forEach(entry => {
+                const li = document.createElement('li');
+                const file = entry.fileName ? ` (${entry.fileName})` : '';
+                li.textContent = `${new Date(entry.timestamp).toLocaleTimeString()}  ${entry.event.toUpperCase()}  ${entry.title}${file}  by ${this._formatAsRunTrigger(entry)}`;
+                asRunList.appendChild(li);
+            });
+        } catch (error) {
+            asRunList.innerHTML = `<li class="error">Could not load the as-run log.</li>`;
+            console.error(error);
+        }
+    }
+
+    _formatAsRunTrigger({ trigger, triggeredBy }) {
+        if (trigger === 'card') return triggeredBy;
+        if (trigger === 'auto') return 'itself';
+        return triggeredBy ? `user (${triggeredBy})` : 'user';
+    }
+
+    /**
+     * Downloads the whole as-run log for this board.
+     * @param {'csv' | 'json'} format
+     */
+    async exportAsRunLog(format) {
+        const entries = (await this.db.getAsRunLog()).map(({ id, ...entry }) => ({
+            time: new Date(entry.timestamp).toISOString(),
+            ...entry
+        }));
+        if (entries.length === 0) {
+            alert('The as-run log is empty.');
+            return;
+        }
+
+        const fileName = `${this.db.boardId} as-run ${new Date().toISOString().slice(0, 10)}.${format}`;
+        if (format === 'json') {
+            downloadBlob(new Blob([JSON.stringify(entries, null, 2)], { type: 'application/json' }), fileName);
+            return;
+        }
+
+        // Quote everything, doubling any quotes inside, so titles with commas survive
+        const toCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+        const rows = [
+            DataManager.AS_RUN_COLUMNS.join(','),
+            ...entries.map(entry => DataManager.AS_RUN_COLUMNS.map(column => toCell(entry[column])).join(','))
+        ];
+        downloadBlob(new Blob([rows.join('\r\n')], { type: 'text/csv' }), fileName);
+    }
+
+    async clearAsRunLog() {
+        const confirm = await MSG.confirm('Clear the as-run log for this board? Export it first if you need it.');
+        if (!confirm) return;
+        await this.db.clearAsRunLog();
+        this._renderAsRunLog();
+    }
+
     async wipeCurrentBoard() {
         const confirm = await MSG.confirm(`Are you sure you want to wipe all data from the '${this.db.boardId}' board? This will leave you with a blank board.`);
         if (!confirm) return;
@@ -404,6 +558,7 @@ export class DataManager {
                 await newDb.openDB();
 
                 const deserializedData = data.map(item => {
+                    item = MigrationManager.migrateDuckSpeed(item); // Exported before attack/release existed
                     if (item.files && item.files.length > 0) {
                         const deserializedFiles = item.files.map(file => ({ ...file, arrayBuffer: base64ToArrayBuffer(file.arrayBuffer) }));
                         return { ...item, files: deserializedFiles };
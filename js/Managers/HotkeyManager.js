@@ -0,0 +1,160 @@
+import { hotkeys, Hotkeys } from '../Core/Hotkeys.js';
+import { Modal } from '../Core/Modal.js';
+import { MSG } from '../Core/MSG.js';
+import { store } from '../Core/StateStore.js';
+
+/**
+ * Keyboard hotkeys for anything on the command bus. Loads and saves this board's
+ * bindings, runs commands when their combo is pressed, and owns the board-wide
+ * overview modal. Cards edit their own hotkeys from their settings (see BaseCard).
+ */
+export class HotkeyManager {
+    static CONFIG_KEY = 'hotkey-config';
+
+    constructor() {
+        this.allCommands = []; // Straight off the command bus, for names
+        this.overviewModal = null;
+    }
+
+    /**
+     * @param {import('../Core/SoundboardDB.js').SoundboardDB} currentDB
+     */
+    async init(currentDB) {
+        this.db = currentDB;
+
+        const saved = await this.db.get(HotkeyManager.CONFIG_KEY);
+        hotkeys.setBindings(saved?.bindings);
+
+        this._attachListeners();
+    }
+
+    _attachListeners() {
+        document.addEventListener('keydown', (e) => this._handleKeyDown(e));
+
+        MSG.on(MSG.ACTIONS.REQUEST_SET_HOTKEY, ({ commandId, combo }) => this.setHotkey(commandId, combo));
+        MSG.on(MSG.ACTIONS.REQUEST_OPEN_HOTKEYS, () => this.openOverview());
+        MSG.on(MSG.EVENTS.COMMANDS_CHANGED, (commands) => {
+            this.allCommands = commands;
+            this._rebuildOverview();
+        });
+        MSG.on(MSG.EVENTS.HOTKEYS_CHANGED, () => this._rebuildOverview());
+
+        // A deleted card's commands are gone for good, so are their hotkeys
+        MSG.on(MSG.EVENTS.SOUNDBOARD_DELETED_CARD, ({ deletedId }) => {
+            const stale = [...hotkeys.bindings].filter(([, commandId]) => commandId.startsWith(`${deletedId}:`));
+            if (stale.length === 0) return;
+            stale.forEach(([combo]) => hotkeys.bindings.delete(combo));
+            this._save();
+        });
+    }
+
+    /**
+     * @param {KeyboardEvent} e
+     */
+    _handleKeyDown(e) {
+        if (e.repeat || e.defaultPrevented) return;
+        if (hotkeys.isTyping(e.target)) return; // Notepads, titles, modal fields...
+
+        const combo = hotkeys.comboFromEvent(e);
+        const commandId = combo && hotkeys.bindings.get(combo);
+        if (!commandId) return;
+
+        e.preventDefault(); // Space shouldn't scroll, / shouldn't open quick find...
+        MSG.say(MSG.ACTIONS.REQUEST_RUN_COMMAND, { commandId, via: `Hotkey ${combo}` });
+    }
+
+    /**
+     * Binds a combo to a command, replacing whatever the command had before.
+     * If the combo already runs something else, asks before taking it over.
+     * @param {string} commandId
+     * @param {string | null} combo null = remove the command's hotkey.
+     */
+    async setHotkey(commandId, combo) {
+        const current = hotkeys.getComboFor(commandId);
+        if (combo === current) return;
+
+        if (combo && Hotkeys.RESERVED.includes(combo)) {
+            alert(`${combo} is taken by the board itself (Esc = Stop All, Shift+Esc = Fade All, Ctrl+K = Find Command).`);
+            return;
+        }
+
+        const otherId = combo && hotkeys.bindings.get(combo);
+        if (otherId) {
+            const confirmed = await MSG.confirm(
+                `${combo} already runs "${this._getCommandName(otherId)}". Use it for "${this._getCommandName(commandId)}" instead?`,
+                'Reassign', 'Cancel'
+            );
+            if (!confirmed) return;
+        }
+
+        if (current) hotkeys.bindings.delete(current);
+        if (combo) hotkeys.bindings.set(combo, commandId);
+
+        await this._save();
+        MSG.say(MSG.EVENTS.HOTKEYS_CHANGED);
+    }
+
+    async _save() {
+        await this.db.save(HotkeyManager.CONFIG_KEY, { id: HotkeyManager.CONFIG_KEY, bindings: hotkeys.toJSON() });
+    }
+
+    _getCommandName(commandId) {
+        return this.allCommands.find(c => c.id === commandId)?.name || commandId;
+    }
+
+    // #region Overview Modal
+
+    openOverview() {
+        this.overviewModal = new Modal('Hotkeys', this._getOverviewConfig(), { hotkeys: hotkeys.getCombosByCommand() });
+        this.overviewModal.modalElement.addEventListener('modal-action', (e) => {
+            const { action, commandId, combo } = e.detail;
+            if (action === 'set-hotkey') this.setHotkey(commandId, combo);
+        });
+        this.overviewModal.modalElement.addEventListener('modal-close', () => this.overviewModal = null);
+    }
+
+    _rebuildOverview() {
+        if (!this.overviewModal) return;
+        this.overviewModal.config = this._getOverviewConfig();
+        this.overviewModal.data.hotkeys = hotkeys.getCombosByCommand();
+        this.overviewModal.rebuild();
+    }
+
+    /**
+     * One section per card (board commands first), with a hotkey control for each command.
+     * Hotkeys for commands we can't find anymore get their own section so they can be removed.
+     */
+    _getOverviewConfig() {
+        const { allCards } = store.getState();
+        const sections = new Map();
+
+        this.allCommands.forEach(command => {
+            if (!sections.has(command.targetCard)) {
+                const title = command.targetCard === 'board'
+                    ? 'Board'
+                    : allCards.get(command.targetCard)?.data.title || command.targetCard;
+                sections.set(command.targetCard, { title, groups: [{ type: 'hotkeys', controls: [] }] });
+            }
+            sections.get(command.targetCard).groups[0].controls.push({
+                type: 'hotkey',
+                label: command.name,
+                commandId: command.id
+            });
+        });
+
+        const missing = [...hotkeys.bindings.values()].filter(commandId => !this.allCommands.some(c => c.id === commandId));
+        if (missing.length > 0) {
+            sections.set('missing', {
+                title: 'Missing Commands',
+                groups: [{
+                    type: 'hotkeys',
+                    controls: missing.map(commandId => ({ type: 'hotkey', label: commandId, commandId }))
+                }]
+            });
+        }
+
+        return [...sections.values()];
+    }
+
+    // #endregion
+}
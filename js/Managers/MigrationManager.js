@@ -37,10 +37,46 @@ export class MigrationManager {
             console.log("Migration to v11 complete. Old 'cards' store removed.");
         },
 
+        // Upgrade TO version 16: Sound cards' single duckSpeed became separate attack and release times.
+        16: async (transaction) => {
+            if (!transaction.db.objectStoreNames.contains('sound_cards')) return;
+
+            const soundStore = transaction.objectStore('sound_cards');
+            const getRequest = soundStore.getAll();
+            const soundCards = await new Promise((resolve, reject) => {
+                getRequest.onsuccess = () => resolve(getRequest.result);
+                getRequest.onerror = () => reject(getRequest.error);
+            });
+
+            for (const cardData of soundCards) {
+                if ('duckSpeed' in cardData) soundStore.put(MigrationManager.migrateDuckSpeed(cardData));
+            }
+        },
+
+        // Upgrade TO version 17: Shuffle bags moved out of the config store (and so out of exports) into their own.
+        // The new store itself is created in SoundboardDB.openDB like every other store.
+        17: async (transaction) => {
+            transaction.objectStore('config').delete(IDBKeyRange.bound('shufflebag-', 'shufflebag-\uffff'));
+        },
+
         // Future migrations would go here, e.g.:
-        // 12: async (transaction) => { /* ... do something for v12 ... */ }
+        // 18: async (transaction) => { /* ... do something for v18 ... */ }
     };
 
+    /**
+     * duckSpeed (ms to lerp either way) -> duckAttackMs and duckReleaseMs. Also used on
+     * imported boards, since those skip the upgrade.
+     * @param {object} cardData
+     * @returns {object} A copy without duckSpeed (or cardData itself if there was nothing to do).
+     */
+    static migrateDuckSpeed(cardData) {
+        if (!('duckSpeed' in cardData)) return cardData;
+        const { duckSpeed, ...migrated } = cardData;
+        migrated.duckAttackMs ??= duckSpeed;
+        migrated.duckReleaseMs ??= duckSpeed;
+        return migrated;
+    }
+
     /**
      * Runs all necessary migrations between the old and new database versions.
      * @param {IDBVersionChangeEvent} event The event from onupgradeneeded.
@@ -0,0 +1,129 @@
+import { recorder, Recorder } from '../Core/Recorder.js';
+import { MSG } from '../Core/MSG.js';
+
+/**
+ * Start/stop recording of the board output, from the dock or the command bus.
+ * Finished recordings are saved to the board DB (listed in Storage & Data).
+ */
+export class RecordingManager {
+    static CONFIG_KEY = 'recording-config';
+
+    static Default() {
+        return {
+            format: 'webm' // see Recorder.FORMATS
+        };
+    }
+
+    constructor() {
+        this.config = RecordingManager.Default();
+        this.timerId = null; // Ticks the elapsed time on the dock button
+        this.isBusy = false; // Starting or saving, ignore presses until it's done
+    }
+
+    /**
+     * @param {import('../Core/SoundboardDB.js').SoundboardDB} currentDB
+     */
+    async init(currentDB) {
+        this.db = currentDB;
+
+        const saved = await this.db.get(RecordingManager.CONFIG_KEY);
+        this.config = { ...RecordingManager.Default(), ...saved };
+        delete this.config.id;
+
+        this._getDOMLemons();
+        this._attachListeners();
+        this._renderFormatSelect();
+        this._renderButton();
+    }
+
+    _getDOMLemons() {
+        this.elements = {
+            recordBtn: document.getElementById('record-btn'),
+            formatSelect: document.getElementById('recording-format-select'),
+        };
+    }
+
+    _attachListeners() {
+        this.elements.recordBtn.addEventListener('click', () => MSG.say(MSG.ACTIONS.REQUEST_TOGGLE_RECORDING));
+        this.elements.formatSelect.addEventListener('change', (e) => {
+            //@ts-ignore
+            this.config.format = e.target.value;
+            this.db.save(RecordingManager.CONFIG_KEY, { id: RecordingManager.CONFIG_KEY, ...this.config });
+        });
+
+        MSG.on(MSG.ACTIONS.REQUEST_START_RECORDING, () => this.start());
+        MSG.on(MSG.ACTIONS.REQUEST_STOP_RECORDING, () => this.stop());
+        MSG.on(MSG.ACTIONS.REQUEST_TOGGLE_RECORDING, () => recorder.isRecording ? this.stop() : this.start());
+
+        // Closing the tab would throw the recording away
+        window.addEventListener('beforeunload', (e) => {
+            if (recorder.isRecording) e.preventDefault();
+        });
+    }
+
+    async start() {
+        if (recorder.isRecording || this.isBusy) return;
+        this.isBusy = true;
+        try {
+            await recorder.start(this.config.format);
+            this.timerId = setInterval(() => this._renderButton(), 500);
+        } catch (e) {
+            MSG.log('Could not start recording', 1, e);
+            alert(`Could not start recording: ${e.message}`);
+        } finally {
+            this.isBusy = false;
+            this._renderButton();
+        }
+    }
+
+    async stop() {
+        if (!recorder.isRecording || this.isBusy) return;
+        this.isBusy = true;
+        clearInterval(this.timerId);
+
+        try {
+            const stopping = recorder.stop();
+            this._renderButton(); // "Saving..." while the last of it comes in
+            const recording = await stopping;
+            const startedAt = new Date(recording.startedAt);
+            await this.db.saveRecording({
+                id: `recording-${recording.startedAt}`,
+                name: `Recording ${startedAt.toLocaleDateString()} ${startedAt.toLocaleTimeString()}`,
+                ...recording,
+                size: recording.blob.size
+            });
+            MSG.say(MSG.EVENTS.RECORDINGS_CHANGED);
+        } catch (e) {
+            MSG.log('Could not save recording', 1, e);
+            alert(`Could not save the recording: ${e.message}`);
+        } finally {
+            this.isBusy = false;
+            this._renderButton();
+        }
+    }
+
+    _renderButton() {
+        const { recordBtn, formatSelect } = this.elements;
+        recordBtn.classList.toggle('recording', recorder.isRecording);
+        //@ts-ignore
+        formatSelect.disabled = recorder.isRecording;
+
+        if (this.isBusy && !recorder.isRecording) {
+            recordBtn.textContent = 'Saving...';
+        } else if (recorder.isRecording) {
+            const totalSeconds = Math.floor(recorder.elapsedMs / 1000);
+            const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+            const seconds = String(totalSeconds % 60).padStart(2, '0');
+            recordBtn.textContent = `Stop Recording (${minutes}:${seconds})`;
+        } else {
+            recordBtn.textContent = 'Record';
+        }
+    }
+
+    _renderFormatSelect() {
+        const select = /** @type {HTMLSelectElement} */ (this.elements.formatSelect);
+        select.innerHTML = '';
+        Recorder.FORMATS.forEach(opt => select.add(new Option(opt.label, opt.value)));
+        select.value = this.config.format;
+    }
+}
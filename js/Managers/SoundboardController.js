@@ -11,6 +11,7 @@ import {
     debounce
 } from '../Core/helper-functions.js';
 import { store } from '../Core/StateStore.js';
+import { hotkeys } from '../Core/Hotkeys.js';
 
 
 
@@ -23,12 +24,18 @@ import { store } from '../Core/StateStore.js';
 
 export class SoundboardController {
 
+    // Board-level commands live on the command bus under this pseudo card id
+    static BOARD_COMMAND_ID = 'board';
+    static FADE_ALL_MS = 2000;
+
     //#region Constructor
     constructor(dbInstance) {
         this.db = dbInstance;
         this.allCardCommands = new Map();
         this.migrationQueue = [];
         this.isMigrating = false;
+        this.isBoardLoaded = false; // Migrations wait for this, so they don't compete with the initial load
+        this.savedShuffleBags = new Set(); // Card ids with a shuffle bag saved apart from the card, see SoundboardDB
         this.GRID_LAYOUT_KEY = 'grid-layout'; // what is this doing here?
         this.confirm = this.showConfirmModal;
     }
@@ -36,11 +43,12 @@ export class SoundboardController {
 
     // #region Lifecycle
 
-    setDependencies({ themeManager, gridManager, controlDockManager, dataManager, cardRegistry }) {
+    setDependencies({ themeManager, gridManager, controlDockManager, dataManager, commandPaletteManager, cardRegistry }) {
         this.themeManager = themeManager;
         this.gridManager = gridManager;
         this.controlDock = controlDockManager;
         this.dataManager = dataManager;
+        this.commandPalette = commandPaletteManager;
         this.cardRegistry = cardRegistry;
     }
 
@@ -49,6 +57,7 @@ export class SoundboardController {
         this._getDOMLemons();
         this._attachManagerListeners();
         this._attachControlDockListeners();
+        this._registerBoardCommands();
 
         const urlParams = new URLSearchParams(window.location.search);
         const boardId = urlParams.get('board') || 'default';
@@ -85,6 +94,9 @@ export class SoundboardController {
         });
 
         this.broadcastAllCommands();
+
+        this.isBoardLoaded = true;
+        this._startMigrations();
     }
     // #endregion
 
@@ -124,9 +136,11 @@ export class SoundboardController {
         }
 
         this.unregisterCardCommands(cardInstance.id);
+        MSG.say(MSG.EVENTS.SOUNDBOARD_DELETED_CARD, { deletedId: cardInstance.id });
 
         // Side Effect: Delete from the database.
         await this.db.delete(cardIdToRemove);
+        if (this.savedShuffleBags.delete(cardIdToRemove)) await this.db.deleteShuffleBag(cardIdToRemove);
 
         // Dispatch the pure state update.
         store.dispatch({
@@ -172,6 +186,8 @@ export class SoundboardController {
         cardInstance.updateUI(); // The card itself updates its view
 
         // Side Effect: Save the updated data to the database
+        // (the card now carries its current shuffle bag, so the separately saved one is stale)
+        if (this.savedShuffleBags.delete(cardId)) await this.db.deleteShuffleBag(cardId);
         await this.db.save(cardId, cardInstance.data);
 
         // Side Effect: Rebuild commands if needed (local concern)
@@ -193,6 +209,13 @@ export class SoundboardController {
         await Promise.all(allCardData.map(async (cardData) => {
             const CardClass = this.cardRegistry.get(cardData.type);
             if (CardClass) {
+                // A bag saved since the card last was is the newer one
+                const shuffleBag = 'shuffleBag' in cardData ? await this.db.getShuffleBag(cardData.id) : null;
+                if (shuffleBag) {
+                    cardData.shuffleBag = shuffleBag;
+                    this.savedShuffleBags.add(cardData.id);
+                }
+
                 const cardInstance = new CardClass(cardData);
                 localAllCards.set(cardInstance.id, cardInstance); // Use the temporary map
             }
@@ -267,8 +290,60 @@ export class SoundboardController {
                 card.refreshAvailableCommands(commandList);
             }
         }
+        MSG.say(MSG.EVENTS.COMMANDS_CHANGED, commandList);
     }, 600); // Debounce by 600ms
 
+    /**
+     * Runs a command for the user directly (hotkeys and the like), rather than for another card.
+     * @param {string} commandId
+     * @param {string} [via] How they ran it, for the as-run log (e.g. 'Hotkey Ctrl+1').
+     */
+    runCommand(commandId, via = '') {
+        const [cardId] = commandId.split(':');
+        const command = this.allCardCommands.get(cardId)?.find(c => c.id === commandId);
+        if (!command) {
+            MSG.log(`No Command found with ID: ${commandId}`, 1);
+            return;
+        }
+
+        const ticket = command.preload();
+        MSG.say(MSG.EVENTS.AS_RUN_ENTRY, {
+            timestamp: Date.now(),
+            event: 'command',
+            cardId: command.targetCard,
+            title: command.name,
+            trigger: 'user',
+            triggeredBy: via
+        });
+        return command.execute(ticket.args);
+    }
+
+    /**
+     * Registers commands that belong to the board rather than to any one card
+     * (so a timer can, say, fade the whole board out at 0:00).
+     */
+    _registerBoardCommands() {
+        const boardId = SoundboardController.BOARD_COMMAND_ID;
+        const makeCommand = (name, label, durationMs, execute) => ({
+            id: `${boardId}:${name}`,
+            targetCard: boardId,
+            name: label,
+            preload: () => new Card.Ticket({ durationMs }),
+            execute
+        });
+
+        this.registerCardCommands(boardId, [
+            makeCommand('Stop All', 'Board: Stop All Sounds', 0,
+                () => MSG.say(MSG.ACTIONS.REQUEST_STOP_ALL)),
+            makeCommand('Fade All', 'Board: Fade Out All Sounds', SoundboardController.FADE_ALL_MS,
+                () => MSG.say(MSG.ACTIONS.REQUEST_FADE_ALL, { fadeOutMs: SoundboardController.FADE_ALL_MS })),
+            makeCommand('Start Recording', 'Board: Start Recording', 0,
+                () => MSG.say(MSG.ACTIONS.REQUEST_START_RECORDING)),
+            makeCommand('Stop Recording', 'Board: Stop Recording', 0,
+                () => MSG.say(MSG.ACTIONS.REQUEST_STOP_RECORDING)),
+        ]);
+    }
+
     handleCardCommand(command) {
         MSG.log(`SoundboardManager.handleCardCommand(${command})`)
         const targetCard = this.allCards.get(command.targetCard);
@@ -359,6 +434,10 @@ export class SoundboardController {
 
         // Listen for requests to update a card's data
         MSG.on(MSG.ACTIONS.REQUEST_UPDATE_CARD_DATA, (data) => this.updateCardData(data.cardId, data.newData));
+        MSG.on(MSG.ACTIONS.REQUEST_SAVE_SHUFFLE_BAG, (data) => {
+            this.savedShuffleBags.add(data.cardId);
+            this.db.saveShuffleBag(data.cardId, data.bag);
+        });
 
         // Listen for requests to move a card
         MSG.on(MSG.ACTIONS.REQUEST_MOVE_CARD, (data) => this.moveCard(data.cardId, data.newParentId, data.newIndex));
@@ -368,6 +447,10 @@ export class SoundboardController {
 
         // Listen for card command registrations
         MSG.on(MSG.ACTIONS.REQUEST_REGISTER_COMMANDS, (data) => this.registerCardCommands(data.cardId, data.commands));
+        MSG.on(MSG.ACTIONS.REQUEST_RUN_COMMAND, (data) => this.runCommand(data.commandId, data.via));
+
+        // Cards with files that predate something we now store (duration, loudness) ask to be backfilled
+        MSG.on(MSG.ACTIONS.MIGRATION_NEEDED_CARD, (task) => this.handleCardMigration(task));
 
     }
 
@@ -393,6 +476,18 @@ export class SoundboardController {
         
 
 
+        // PANIC KEYS: Escape stops everything, Shift+Escape fades everything out
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape' || e.repeat) return;
+            if (hotkeys.isTyping(e.target)) return; // Escape in a field just means "leave the field"
+            if (this.commandPalette?.isOpen) return; // Escape there just closes the palette
+            if (e.shiftKey) {
+                MSG.say(MSG.ACTIONS.REQUEST_FADE_ALL); // each card uses its own fade-out time
+            } else {
+                MSG.say(MSG.ACTIONS.REQUEST_STOP_ALL);
+            }
+        });
+
         // HELPFUL BUG
 
         document.getElementById('help-bug-btn').addEventListener('click', () => {
@@ -441,34 +536,47 @@ export class SoundboardController {
     // #region Migration & Compatibility
     handleCardMigration(task) {
         this.migrationQueue.push(task);
+        this._startMigrations();
+    }
+
+    _startMigrations() {
         // If the processor isn't already running, kick it off.
-        if (!this.isMigrating) {
+        if (this.isBoardLoaded && !this.isMigrating && this.migrationQueue.length > 0) {
             this.isMigrating = true;
-            console.log("Starting background data migration for audio durations...");
+            console.log("Starting background data migration for audio files...");
             this._processMigrationQueue();
         }
     }
 
-    async _processMigrationQueue() { // currently this is only for the duration in the soundcards but will expand as needed
+    async _processMigrationQueue() { // currently this is only for the files in the soundcards but will expand as needed
         if (this.migrationQueue.length === 0) {
             this.isMigrating = false;
-            console.log("Audio duration migration complete.");
+            console.log("Audio file migration complete.");
             this.broadcastAllCommands(); // Broadcast updated commands once done
             return;
         }
 
         const task = this.migrationQueue.shift();
+        const { card, file } = task;
         try {
-            
-            const durationInMs = await getAudioDuration(task.file.arrayBuffer);
+            // The card (or the file) may have been deleted while it sat in the queue
+            const isStillAround = store.getState().allCards.has(card.id) && card.data.files.includes(file);
 
-            // Update the data on the card instance
-            task.card.data.files[task.fileIndex].durationMs = durationInMs;
+            if (isStillAround) {
+                if (!(file.durationMs > 0)) {
+                    file.durationMs = await getAudioDuration(file.arrayBuffer);
+                }
 
-            // Save the entire updated card data back to the database
-            await task.card.db.save(task.card.id, task.card.data);
+                // Loudness, waveform... whatever the card knows how to work out from the audio
+                if (typeof card.analyzeFile === 'function') {
+                    await card.analyzeFile(file);
+                }
+
+                // Save the entire updated card data back to the database
+                await this.db.save(card.id, card.data);
+            }
         } catch (e) {
-            console.error(`Failed to migrate duration for file in card ${task.card.id}:`, e);
+            console.error(`Failed to migrate file ${file.fileName} in card ${card.id}:`, e);
         }
 
         // Process the next item on a brief timeout to keep the UI responsive
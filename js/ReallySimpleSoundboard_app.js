@@ -5,12 +5,18 @@ import { ThemeManager } from './Managers/ThemeManager.js';
 import { GridManager } from './Managers/GridManager.js';
 import { ControlDockManager } from './Managers/ControlDockManager.js';
 import { DataManager } from './Managers/DataManager.js';
+import { AudioSettingsManager } from './Managers/AudioSettingsManager.js';
+import { RecordingManager } from './Managers/RecordingManager.js';
+import { HotkeyManager } from './Managers/HotkeyManager.js';
+import { CommandPaletteManager } from './Managers/CommandPaletteManager.js';
 import { store } from './Core/StateStore.js';
 
 // EVENTUALLY NEED TO MAKE IT SO THERE DO NOT NEED TO BE EXPLICIT REFS TO IMPORT CARD TYPES
 import { SoundCard } from './Cards/SoundCard.js';
 import { TimerCard } from './Cards/TimerCard.js';
 import { NotepadCard } from './Cards/NotepadCard.js';
+import { MacroCard } from './Cards/MacroCard.js';
+import { CueListCard } from './Cards/CueListCard.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
 
@@ -64,6 +70,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     cardRegistry.register('sound', SoundCard);
     cardRegistry.register('timer', TimerCard);
     cardRegistry.register('notepad', NotepadCard);
+    cardRegistry.register('macro', MacroCard);
+    cardRegistry.register('cuelist', CueListCard);
 
     // Get the list of card types
     const cardTypes = Array.from(cardRegistry.getRegisteredTypes());
@@ -81,6 +89,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     const gridManager = new GridManager();
     const controlDockManager = new ControlDockManager();
     const dataManager = new DataManager();
+    const audioSettingsManager = new AudioSettingsManager();
+    const recordingManager = new RecordingManager();
+    const hotkeyManager = new HotkeyManager();
+    const commandPaletteManager = new CommandPaletteManager();
 
     // 2. Set the SoundboardManager's dependencies so it knows about the UI managers
     soundboardController.setDependencies({
@@ -88,6 +100,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         gridManager,
         controlDockManager,
         dataManager,
+        commandPaletteManager,
         cardRegistry
     });
 
@@ -97,6 +110,11 @@ document.addEventListener('DOMContentLoaded', async () => {
         defaultDb,
     );
 
+    await audioSettingsManager.init(db);
+    await recordingManager.init(db);
+    await hotkeyManager.init(db);
+    commandPaletteManager.init();
+
     await dataManager.init(
         db,
         defaultDb,
@@ -1,5 +1,5 @@
 // Bump this when you release a new version
-const CACHE_NAME = 'Really Simple Soundboard V0.01';
+const CACHE_NAME = 'Really Simple Soundboard V0.02';
 
 // Files to always pre-cache (your core app shell)
 const urlsToCache = [